@@ -0,0 +1,474 @@
+/**
+ * Answer Formats for Information Security Management Study Site
+ * Renders, scores and describes each kind of answer a question can ask for
+ */
+
+/**
+ * Single Choice Format Class
+ * One radio button per option; `correctAnswer` is an option id
+ */
+class SingleChoiceFormat {
+    constructor() {
+        this.id = 'single';
+        this.name = '択一';
+    }
+
+    /**
+     * Order to show the options in; `shuffle` is the quiz engine's seeded shuffle
+     */
+    getOptionOrder(question, shuffle, settings) {
+        const ids = question.options.map(opt => opt.id);
+        return settings.shuffleOptions ? shuffle(ids) : ids;
+    }
+
+    render(question, answer, context) {
+        const options = orderOptions(question.options, context.optionOrder);
+
+        return `
+            <div class="question-options">
+                ${options.map((option, index) => `
+                    <label class="option-label">
+                        <input type="radio" name="answer" value="${option.id}"
+                               ${answer === option.id ? 'checked' : ''}>
+                        <span class="option-text">
+                            <span class="option-number">${String.fromCharCode(65 + index)}</span>
+                            ${renderContent(option.text)}
+                        </span>
+                    </label>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    score(question, answer) {
+        return answer === question.correctAnswer ? 1 : 0;
+    }
+
+    describe(question, answer) {
+        const option = question.options.find(opt => opt.id === answer);
+        return option ? renderContent(option.text) : '';
+    }
+
+    renderReview(question, answer, optionOrder) {
+        return renderOptionReview(question, [answer], [question.correctAnswer], optionOrder);
+    }
+
+    describeCorrect(question) {
+        return this.describe(question, question.correctAnswer);
+    }
+
+    /**
+     * Options picked in an answer, for distractor statistics
+     */
+    choiceKeys(question, answer) {
+        return answer ? [answer] : [];
+    }
+
+    describeChoice(question, key) {
+        const option = question.options.find(opt => opt.id === key);
+        return option ? renderContent(option.text) : key;
+    }
+}
+
+/**
+ * Multiple Choice Format Class
+ * Checkboxes; `correctAnswer` is an array of option ids
+ */
+class MultipleChoiceFormat {
+    constructor() {
+        this.id = 'multiple';
+        this.name = '複数選択';
+    }
+
+    getOptionOrder(question, shuffle, settings) {
+        const ids = question.options.map(opt => opt.id);
+        return settings.shuffleOptions ? shuffle(ids) : ids;
+    }
+
+    render(question, answer, context) {
+        const options = orderOptions(question.options, context.optionOrder);
+        const selected = answer || [];
+
+        return `
+            <p class="answer-instruction">正しいものを${question.correctAnswer.length}つ選びなさい。</p>
+            <div class="question-options">
+                ${options.map((option, index) => `
+                    <label class="option-label">
+                        <input type="checkbox" name="answer-multiple" value="${option.id}"
+                               ${selected.includes(option.id) ? 'checked' : ''}>
+                        <span class="option-text">
+                            <span class="option-number">${String.fromCharCode(65 + index)}</span>
+                            ${renderContent(option.text)}
+                        </span>
+                    </label>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Each correct pick earns a share of the credit and each wrong pick takes one back
+     */
+    score(question, answer) {
+        const correct = question.correctAnswer;
+        const hits = answer.filter(id => correct.includes(id)).length;
+        const misses = answer.length - hits;
+
+        return Math.max(0, (hits - misses) / correct.length);
+    }
+
+    describe(question, answer) {
+        return `
+            <ul class="answer-list">
+                ${question.options.filter(opt => answer.includes(opt.id)).map(opt => `<li>${renderContent(opt.text)}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    renderReview(question, answer, optionOrder) {
+        return renderOptionReview(question, answer || [], question.correctAnswer, optionOrder);
+    }
+
+    describeCorrect(question) {
+        return this.describe(question, question.correctAnswer);
+    }
+
+    /**
+     * Options picked in an answer, for distractor statistics
+     */
+    choiceKeys(question, answer) {
+        return answer || [];
+    }
+
+    describeChoice(question, key) {
+        const option = question.options.find(opt => opt.id === key);
+        return option ? renderContent(option.text) : key;
+    }
+}
+
+/**
+ * Ordering Format Class
+ * A list the user rearranges; `correctAnswer` is every option id in order
+ */
+class OrderingFormat {
+    constructor() {
+        this.id = 'ordering';
+        this.name = '並べ替え';
+    }
+
+    /**
+     * Shuffled starting order that never starts out already solved
+     */
+    getOptionOrder(question, shuffle) {
+        const order = shuffle(question.options.map(opt => opt.id));
+        if (order.join() === question.correctAnswer.join()) {
+            order.push(order.shift());
+        }
+        return order;
+    }
+
+    render(question, answer, context) {
+        const order = answer || context.optionOrder || question.options.map(opt => opt.id);
+
+        return `
+            <p class="answer-instruction">正しい順序に並べ替えなさい。（項目を選んで Alt + ↑↓ でも移動できます）</p>
+            <ol class="order-list">
+                ${order.map((id, index) => `
+                    <li class="order-item" data-option="${id}" tabindex="0">
+                        <span class="order-position">${index + 1}</span>
+                        <span class="option-text">${renderContent(question.options.find(opt => opt.id === id).text)}</span>
+                        <span class="order-controls">
+                            <button type="button" class="btn btn-outline order-move" data-option="${id}" data-direction="-1" aria-label="上へ移動">↑</button>
+                            <button type="button" class="btn btn-outline order-move" data-option="${id}" data-direction="1" aria-label="下へ移動">↓</button>
+                        </span>
+                    </li>
+                `).join('')}
+            </ol>
+            ${answer ? '' : '<button type="button" class="btn btn-outline order-confirm">この順序で回答する</button>'}
+        `;
+    }
+
+    /**
+     * Share of item pairs placed in the correct relative order
+     */
+    score(question, answer) {
+        const correct = question.correctAnswer;
+        let pairs = 0;
+        let concordant = 0;
+
+        for (let i = 0; i < correct.length; i++) {
+            for (let j = i + 1; j < correct.length; j++) {
+                pairs++;
+                if (answer.indexOf(correct[i]) < answer.indexOf(correct[j])) {
+                    concordant++;
+                }
+            }
+        }
+
+        return pairs > 0 ? concordant / pairs : 0;
+    }
+
+    describe(question, answer) {
+        return `
+            <ol class="answer-list">
+                ${answer.map(id => `<li>${renderContent(question.options.find(opt => opt.id === id).text)}</li>`).join('')}
+            </ol>
+        `;
+    }
+
+    describeCorrect(question) {
+        return this.describe(question, question.correctAnswer);
+    }
+
+    /**
+     * An order is not a set of picks, so it has no distractors to count
+     */
+    choiceKeys() {
+        return [];
+    }
+
+    describeChoice(question, key) {
+        return key;
+    }
+}
+
+/**
+ * Matching Format Class
+ * Pairs each option with one of `choices`; `correctAnswer` maps option ids to choice ids
+ */
+class MatchingFormat {
+    constructor() {
+        this.id = 'matching';
+        this.name = '組合せ';
+    }
+
+    getOptionOrder(question, shuffle, settings) {
+        const ids = question.options.map(opt => opt.id);
+        return settings.shuffleOptions ? shuffle(ids) : ids;
+    }
+
+    render(question, answer, context) {
+        const options = orderOptions(question.options, context.optionOrder);
+        const selected = answer || {};
+
+        return `
+            <p class="answer-instruction">それぞれに対応するものを選びなさい。</p>
+            <div class="match-list">
+                ${options.map((option, index) => `
+                    <div class="match-row">
+                        <span class="option-text">
+                            <span class="option-number">${index + 1}</span>
+                            ${renderContent(option.text)}
+                        </span>
+                        <select class="match-select" data-option="${option.id}" aria-label="${index + 1}番目の項目に対応するもの">
+                            <option value="">選択してください</option>
+                            ${question.choices.map(choice => `
+                                <option value="${choice.id}" ${selected[option.id] === choice.id ? 'selected' : ''}>${plainContent(choice.text)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Share of options matched correctly
+     */
+    score(question, answer) {
+        const matched = question.options.filter(opt => answer[opt.id] === question.correctAnswer[opt.id]).length;
+        return matched / question.options.length;
+    }
+
+    describe(question, answer) {
+        return `
+            <ul class="answer-list">
+                ${question.options.map(opt => {
+                    const choice = question.choices.find(c => c.id === answer[opt.id]);
+                    return `<li>${renderContent(opt.text)} → ${choice ? renderContent(choice.text) : '未選択'}</li>`;
+                }).join('')}
+            </ul>
+        `;
+    }
+
+    describeCorrect(question) {
+        return this.describe(question, question.correctAnswer);
+    }
+
+    /**
+     * Each pairing is one pick, keyed "optionId=choiceId"
+     */
+    choiceKeys(question, answer) {
+        return Object.entries(answer || {}).filter(([, choiceId]) => choiceId).map(([optionId, choiceId]) => `${optionId}=${choiceId}`);
+    }
+
+    describeChoice(question, key) {
+        const [optionId, choiceId] = key.split('=');
+        const option = question.options.find(opt => opt.id === optionId);
+        const choice = question.choices.find(c => c.id === choiceId);
+        return option && choice ? `${renderContent(option.text)} → ${renderContent(choice.text)}` : key;
+    }
+}
+
+/**
+ * Numeric Format Class
+ * A typed number; `correctAnswer` is a number, with optional `tolerance` and `unit`
+ */
+class NumericFormat {
+    constructor() {
+        this.id = 'numeric';
+        this.name = '数値入力';
+    }
+
+    getOptionOrder() {
+        return null;
+    }
+
+    render(question, answer) {
+        return `
+            <p class="answer-instruction">数値で答えなさい。</p>
+            <div class="numeric-answer-field">
+                <input type="text" inputmode="decimal" class="numeric-answer" id="numeric-answer"
+                       value="${escapeAttribute(answer || '')}" aria-label="数値で回答" autocomplete="off">
+                ${question.unit ? `<span class="numeric-unit">${escapeAttribute(question.unit)}</span>` : ''}
+            </div>
+        `;
+    }
+
+    score(question, answer) {
+        const value = this.parse(answer);
+        if (value === null) return 0;
+
+        // Small epsilon so decimal answers like 0.3 are not lost to floating point
+        return Math.abs(value - question.correctAnswer) <= (question.tolerance || 0) + 1e-9 ? 1 : 0;
+    }
+
+    /**
+     * Accept full-width digits and thousands separators
+     */
+    parse(answer) {
+        const normalized = String(answer).normalize('NFKC').replace(/[,\s]/g, '');
+        if (normalized === '') return null;
+
+        const value = Number(normalized);
+        return Number.isFinite(value) ? value : null;
+    }
+
+    describe(question, answer) {
+        // The typed text goes into the review as is, so escape it
+        return `${escapeAttribute(answer)}${escapeAttribute(question.unit || '')}`;
+    }
+
+    describeCorrect(question) {
+        const tolerance = question.tolerance ? `（±${question.tolerance}）` : '';
+        return `${question.correctAnswer}${escapeAttribute(question.unit || '')}${tolerance}`;
+    }
+
+    /**
+     * The parsed value, so "1,000" and "１０００" count as the same pick
+     */
+    choiceKeys(question, answer) {
+        const value = answer === null || answer === undefined ? null : this.parse(answer);
+        return value === null ? [] : [String(value)];
+    }
+
+    describeChoice(question, key) {
+        return `${escapeAttribute(key)}${escapeAttribute(question.unit || '')}`;
+    }
+}
+
+/**
+ * Helper functions
+ */
+
+/**
+ * Options in the order they were shown, or as authored when no order was recorded
+ */
+function orderOptions(options, optionOrder) {
+    if (!optionOrder) return options;
+    return optionOrder.map(id => options.find(opt => opt.id === id)).filter(Boolean);
+}
+
+/**
+ * Choice options as the user saw them, marking the picked and correct ones
+ */
+function renderOptionReview(question, selected, correct, optionOrder) {
+    return `
+        <ol class="review-options rich-text">
+            ${orderOptions(question.options, optionOrder).map((option, index) => `
+                <li class="review-option${correct.includes(option.id) ? ' correct-option' : ''}${selected.includes(option.id) ? ' selected-option' : ''}">
+                    <span class="option-number">${String.fromCharCode(65 + index)}</span>
+                    ${renderContent(option.text)}
+                    ${selected.includes(option.id) ? '<span class="review-option-mark">あなたの回答</span>' : ''}
+                    ${correct.includes(option.id) ? '<span class="review-option-mark">正解</span>' : ''}
+                </li>
+            `).join('')}
+        </ol>
+    `;
+}
+
+/**
+ * Option text rendered as rich content, or as written when the renderer is not loaded
+ */
+function renderContent(text) {
+    return window.RichText ? window.RichText.render(text, { inline: true }) : text;
+}
+
+/**
+ * Option text without markup, for <option> elements
+ */
+function plainContent(text) {
+    return window.RichText ? window.RichText.toPlainText(text) : text;
+}
+
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+// Available answer formats
+const AnswerFormats = {
+    formats: {
+        single: new SingleChoiceFormat(),
+        multiple: new MultipleChoiceFormat(),
+        ordering: new OrderingFormat(),
+        matching: new MatchingFormat(),
+        numeric: new NumericFormat()
+    },
+
+    get(id) {
+        return this.formats[id] || this.formats.single;
+    },
+
+    /**
+     * How often each pick was made over a question's answers ([{ answer, count }] from StorageManager.countAnswers)
+     * Returns { key: { count, correct } }, where correct marks picks that belong to the right answer
+     */
+    countChoices(question, answers) {
+        const format = this.get(question.format);
+        const correctKeys = format.choiceKeys(question, question.correctAnswer);
+        const counts = {};
+
+        answers.forEach(({ answer, count }) => {
+            format.choiceKeys(question, answer).forEach(key => {
+                if (!counts[key]) {
+                    counts[key] = { count: 0, correct: correctKeys.includes(key) };
+                }
+                counts[key].count += count;
+            });
+        });
+
+        return counts;
+    },
+
+    /**
+     * Picks in an answer that are not part of the correct answer
+     */
+    wrongChoices(question, answer) {
+        const format = this.get(question.format);
+        const correctKeys = format.choiceKeys(question, question.correctAnswer);
+        return format.choiceKeys(question, answer).filter(key => !correctKeys.includes(key));
+    }
+};
+
+// Export for use in other modules
+window.AnswerFormats = AnswerFormats;
@@ -12,6 +12,7 @@ document.addEventListener('DOMContentLoaded', function() {
     initProgressTracking();
     initLocalStorage();
     updateStudyStatistics();
+    initStudySectionLinks();
     
     // Initialize keyboard shortcuts
     initKeyboardShortcuts();
@@ -103,14 +104,15 @@ function initNavigation() {
  * Highlight active navigation item based on current page
  */
 function highlightActiveNavigation() {
-    const currentPath = window.location.pathname;
+    // Compared as site paths, so the home link does not match every page under a sub-path
+    const currentPath = window.SitePaths.toSitePath(window.location.pathname);
     const navLinks = document.querySelectorAll('.nav-link');
     
     navLinks.forEach(link => {
         link.classList.remove('active');
         link.removeAttribute('aria-current');
         
-        const linkPath = new URL(link.href).pathname;
+        const linkPath = window.SitePaths.toSitePath(new URL(link.href).pathname);
         if (currentPath === linkPath || (linkPath !== '/' && currentPath.startsWith(linkPath))) {
             link.classList.add('active');
             link.setAttribute('aria-current', 'page');
@@ -118,6 +120,48 @@ function highlightActiveNavigation() {
     });
 }
 
+/**
+ * Study pages: highlight the section a link points at (e.g. from a question's explanation)
+ * and offer the questions that cover it
+ */
+function initStudySectionLinks() {
+    // Page path from the site root, as questions write it: "/study/laws/"
+    const studyPath = window.SitePaths.toSitePath(window.location.pathname.replace(/index\.html$/, ''));
+    if (!studyPath || !studyPath.startsWith('/study/')) return;
+    
+    const highlightSection = () => {
+        document.querySelectorAll('.content-section.section-highlight').forEach(section => {
+            section.classList.remove('section-highlight');
+        });
+        
+        const sectionId = decodeURIComponent(window.location.hash.slice(1));
+        const section = sectionId ? document.getElementById(sectionId) : null;
+        if (!section || !section.classList.contains('content-section')) return;
+        
+        section.classList.add('section-highlight');
+        if (!section.querySelector('.section-practice')) {
+            // Questions link to sections as "/study/laws/#privacy-laws"
+            const anchor = `${studyPath}#${sectionId}`;
+            const offer = document.createElement('div');
+            offer.className = 'section-practice';
+            offer.innerHTML = `
+                <p>この節の内容を問題で確認しましょう。</p>
+                <a href="${window.SitePaths.url(`/practice/category/?study=${encodeURIComponent(anchor)}`)}" class="btn btn-primary">🎯 この節の問題を解く</a>
+            `;
+            
+            const header = section.querySelector('.section-header');
+            if (header) {
+                header.insertAdjacentElement('afterend', offer);
+            } else {
+                section.prepend(offer);
+            }
+        }
+    };
+    
+    highlightSection();
+    window.addEventListener('hashchange', highlightSection);
+}
+
 /**
  * Theme switching functionality
  */
@@ -417,6 +461,24 @@ function updateStudyStatistics() {
     
     // Update category progress
     updateCategoryProgress(studyData);
+    
+    // Update spaced-repetition review counts
+    updateReviewForecast();
+}
+
+/**
+ * Update counts of reviews due today and this week
+ */
+function updateReviewForecast() {
+    if (!window.StorageManager || !document.getElementById('review-forecast')) return;
+    
+    const forecast = window.StorageManager.getReviewForecast(7);
+    
+    const todayElement = document.getElementById('review-due-today');
+    if (todayElement) todayElement.textContent = `${forecast.today}件`;
+    
+    const weekElement = document.getElementById('review-due-week');
+    if (weekElement) weekElement.textContent = `${forecast.upcoming}件`;
 }
 
 /**
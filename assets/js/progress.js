@@ -14,6 +14,12 @@ class ProgressTracker {
             'technology': '技術要素',
             'laws': '法規・制度'
         };
+
+        this.confidenceLevels = {
+            'sure': '💪 自信あり',
+            'unsure': '🤔 迷った',
+            'guess': '🎲 勘'
+        };
         
         this.studyGoals = {
             dailyTime: 60, // minutes
@@ -78,6 +84,7 @@ class ProgressTracker {
         this.updateStreakInfo();
         this.updateExamProgress();
         this.updateRecentActivity();
+        this.updateConfidenceCalibration();
     }
 
     /**
@@ -216,6 +223,119 @@ class ProgressTracker {
         `).join('');
     }
 
+    /**
+     * Update confidence calibration: accuracy per confidence level and
+     * the categories whose correct answers are mostly guesses
+     */
+    updateConfidenceCalibration() {
+        if (!window.StorageManager) return;
+
+        const container = document.getElementById('confidence-calibration');
+        if (!container) return;
+
+        const calibration = window.StorageManager.getConfidenceCalibration();
+        if (calibration.rated === 0) {
+            container.innerHTML = '<p class="calibration-empty">解答時に自信度（自信あり / 迷った / 勘）を選ぶと、自信と正誤の関係がここに表示されます。</p>';
+            return;
+        }
+
+        const sure = calibration.levels.sure;
+        const guessedCategories = Object.entries(calibration.categories)
+            .filter(([, stats]) => stats.guessed > 0)
+            .map(([category, stats]) => ({ category, ...stats, share: Math.round((stats.guessed / stats.correct) * 100) }))
+            .sort((a, b) => b.share - a.share);
+
+        container.innerHTML = `
+            <div class="calibration-levels">
+                ${Object.keys(this.confidenceLevels).filter(level => calibration.levels[level]).map(level => {
+                    const stats = calibration.levels[level];
+                    return `
+                        <div class="calibration-level ${level}">
+                            <div class="calibration-name">${this.confidenceLevels[level]}</div>
+                            <div class="calibration-value">${Math.round((stats.correct / stats.answered) * 100)}%</div>
+                            <div class="calibration-detail">${stats.correct} / ${stats.answered}回正解</div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+            ${sure ? `
+            <p class="calibration-note ${sure.correct < sure.answered ? 'warning' : ''}">
+                「自信あり」の解答のうち${sure.answered - sure.correct}回（${Math.round(((sure.answered - sure.correct) / sure.answered) * 100)}%）が不正解でした。
+            </p>
+            ` : ''}
+            ${guessedCategories.length > 0 ? `
+            <div class="calibration-guesses">
+                <h4>勘に頼って正解している分野</h4>
+                <ul>
+                    ${guessedCategories.map(entry => `
+                        <li class="${entry.share >= 50 ? 'warning' : ''}">
+                            ${this.categories[entry.category] || entry.category}: 正解の${entry.share}%が勘（${entry.correct}回中${entry.guessed}回）
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Update distractor analysis: the wrong pick made most often in each topic
+     * Needs the question bank, so the page passes in the loaded questions and taxonomy
+     */
+    updateDistractorAnalysis(questions, taxonomy = { syllabus: [] }) {
+        if (!window.StorageManager || !window.AnswerFormats) return;
+
+        const container = document.getElementById('distractor-analysis');
+        if (!container) return;
+
+        const questionHistory = window.StorageManager.getStudyData().questionHistory || {};
+        const topics = {};
+
+        questions.forEach(question => {
+            // Counted over every answer given, including attempts trimmed from the history
+            const answers = questionHistory[question.id] ? window.StorageManager.countAnswers(questionHistory[question.id]) : [];
+            const attempts = answers.reduce((sum, entry) => sum + entry.count, 0);
+            const wrong = Object.entries(window.AnswerFormats.countChoices(question, answers))
+                .filter(([, choice]) => !choice.correct);
+            if (wrong.length === 0) return;
+
+            const code = (question.syllabus || [])[0];
+            const item = taxonomy.syllabus.find(entry => entry.code === code);
+            const topic = item ? `${item.code} ${item.title}` : this.categories[question.category] || question.category;
+
+            wrong.forEach(([key, choice]) => {
+                if (!topics[topic] || choice.count > topics[topic].count) {
+                    topics[topic] = { question, key, count: choice.count, attempts };
+                }
+            });
+        });
+
+        const entries = Object.entries(topics).sort((a, b) => b[1].count - a[1].count);
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="distractor-empty">まだ誤答の記録がありません。問題演習を続けると、分野ごとによく選ぶ誤答がここに表示されます。</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <ul class="distractor-list">
+                ${entries.map(([topic, entry]) => {
+                    const format = window.AnswerFormats.get(entry.question.format);
+                    const stem = window.RichText ? window.RichText.toPlainText(entry.question.question) : entry.question.question;
+                    return `
+                        <li class="distractor-item">
+                            <div class="distractor-topic">${topic}</div>
+                            <div class="distractor-question">${stem.length > 60 ? `${stem.slice(0, 60)}…` : stem}</div>
+                            <div class="distractor-choice rich-text">
+                                よく選ぶ誤答: ${format.describeChoice(entry.question, entry.key)}
+                                <span class="distractor-count">（${entry.attempts}回中${entry.count}回）</span>
+                            </div>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+    }
+
     /**
      * Record study session
      */
@@ -253,7 +373,12 @@ class ProgressTracker {
         if (!window.StorageManager) return;
         
         // Record in storage
-        window.StorageManager.recordQuestionResult(category, isCorrect, timeSpent);
+        window.StorageManager.recordQuestionAttempts([{
+            questionId: questionId,
+            category: category,
+            isCorrect: isCorrect,
+            timeSpent: timeSpent
+        }]);
         
         // Update category progress based on performance
         this.updateCategoryProgressFromQuestion(category, isCorrect, difficulty);
@@ -0,0 +1,418 @@
+/**
+ * Question Bank for Information Security Management Study Site
+ * Loads versioned question packs, validates entries and merges them into one database
+ */
+
+// Default location of the question pack index, as a site path
+const QUESTION_BANK_INDEX = '/data/questions/index.json';
+
+// Allowed values for question fields
+const QUESTION_CATEGORIES = ['basics', 'management', 'technology', 'laws'];
+const QUESTION_DIFFICULTIES = ['easy', 'normal', 'hard'];
+const QUESTION_SUBJECTS = ['A', 'B'];
+const QUESTION_TYPES = ['standard', 'scenario'];
+const QUESTION_FORMATS = ['single', 'multiple', 'ordering', 'matching', 'numeric'];
+const QUESTION_FLAGS = ['important'];
+
+// Study page section a question can link to: /study/<page>/#<section id>
+const STUDY_ANCHOR_PATTERN = /^\/study\/[a-z0-9-]+\/#[A-Za-z][\w-]*$/;
+
+/**
+ * Question Bank Class
+ */
+class QuestionBank {
+    constructor(indexUrl = QUESTION_BANK_INDEX) {
+        this.indexUrl = indexUrl;
+        this.questions = [];
+        this.packs = [];
+        this.errors = []; // { pack, questionId, index, messages }
+        this.questionIds = new Set();
+        this.scenarios = {}; // { scenarioId: { id, title, passage } }
+        this.pastExamNumbers = new Set(); // "<year> <session> <subject>-<number>" of past exam questions
+        this.taxonomy = { syllabus: [], tags: [], pastExams: [], studySections: [] }; // Syllabus item codes, known topic tags, past exam timings and study page sections
+    }
+
+    /**
+     * Load every pack listed in the index and merge the valid questions
+     */
+    async load(onProgress = () => {}) {
+        const index = await this.fetchJSON(this.indexUrl);
+
+        // The taxonomy is needed to validate syllabus codes, so load it first
+        if (index.taxonomy) {
+            try {
+                this.setTaxonomy(await this.fetchJSON(this.resolvePackUrl(index.taxonomy)));
+            } catch (error) {
+                this.recordError(index.taxonomy, null, null, [`読み込みに失敗しました: ${error.message}`]);
+            }
+        }
+
+        const packFiles = (index.packs || []).map(pack => this.resolvePackUrl(pack.file));
+        const progress = { loaded: 0, total: packFiles.length };
+
+        onProgress({ ...progress });
+
+        // Fetch in parallel, but merge in index order so duplicate handling is stable
+        const results = await Promise.all(packFiles.map(async url => {
+            let result;
+            try {
+                result = { url, pack: await this.fetchJSON(url) };
+            } catch (error) {
+                result = { url, error };
+            }
+            progress.loaded++;
+            onProgress({ ...progress });
+            return result;
+        }));
+
+        results.forEach(result => {
+            if (result.error) {
+                this.recordError(result.url, null, null, [`読み込みに失敗しました: ${result.error.message}`]);
+            } else {
+                this.addPack(result.pack, result.url);
+            }
+        });
+
+        return this.questions;
+    }
+
+    /**
+     * Use a taxonomy of syllabus items, topic tags, past exam sets and study page sections
+     */
+    setTaxonomy(taxonomy) {
+        this.taxonomy = {
+            syllabus: Array.isArray(taxonomy.syllabus) ? taxonomy.syllabus : [],
+            tags: Array.isArray(taxonomy.tags) ? taxonomy.tags : [],
+            pastExams: Array.isArray(taxonomy.pastExams) ? taxonomy.pastExams : [],
+            studySections: Array.isArray(taxonomy.studySections) ? taxonomy.studySections : []
+        };
+    }
+
+    /**
+     * Validate a pack and merge its valid questions
+     */
+    addPack(pack, source) {
+        if (!pack || !Array.isArray(pack.questions)) {
+            this.recordError(source, null, null, ['questions 配列がありません']);
+            return 0;
+        }
+
+        // Register shared case-study passages before the questions that refer to them
+        (pack.scenarios || []).forEach((scenario, index) => {
+            const messages = this.validateScenario(scenario);
+            if (messages.length > 0) {
+                this.recordError(source, scenario && scenario.id ? `scenario:${scenario.id}` : null, index, messages);
+                return;
+            }
+            this.scenarios[scenario.id] = { id: scenario.id, title: scenario.title || '', passage: scenario.passage };
+        });
+
+        let added = 0;
+        pack.questions.forEach((question, index) => {
+            const messages = this.validateQuestion(question);
+            const questionId = question && question.id;
+
+            if (questionId && this.questionIds.has(questionId)) {
+                messages.push(`id "${questionId}" が重複しています`);
+            }
+            const pastExamNumber = messages.length === 0 ? this.getPastExamNumber(question) : null;
+            if (pastExamNumber && this.pastExamNumbers.has(pastExamNumber)) {
+                messages.push(`過去問 ${pastExamNumber} が重複しています`);
+            }
+
+            if (messages.length > 0) {
+                this.recordError(source, questionId || null, index, messages);
+                return;
+            }
+
+            this.questionIds.add(questionId);
+            if (pastExamNumber) {
+                this.pastExamNumbers.add(pastExamNumber);
+            }
+            this.questions.push({
+                ...question,
+                pack: pack.id || source,
+                scenario: question.scenarioId ? this.scenarios[question.scenarioId] : undefined
+            });
+            added++;
+        });
+
+        this.packs.push({
+            id: pack.id || source,
+            version: pack.version || null,
+            title: pack.title || pack.id || source,
+            source: source,
+            questionCount: added
+        });
+
+        return added;
+    }
+
+    /**
+     * Validate a single question against the schema
+     */
+    validateQuestion(question) {
+        const messages = [];
+
+        if (!question || typeof question !== 'object') {
+            return ['問題がオブジェクトではありません'];
+        }
+
+        if (typeof question.id !== 'string' || question.id.trim() === '') {
+            messages.push('id がありません');
+        }
+        if (!QUESTION_CATEGORIES.includes(question.category)) {
+            messages.push(`不明な category "${question.category}"`);
+        }
+        if (!QUESTION_DIFFICULTIES.includes(question.difficulty)) {
+            messages.push(`不明な difficulty "${question.difficulty}"`);
+        }
+        if (question.subject !== undefined && !QUESTION_SUBJECTS.includes(question.subject)) {
+            messages.push(`不明な subject "${question.subject}"`);
+        }
+        if (question.type !== undefined && !QUESTION_TYPES.includes(question.type)) {
+            messages.push(`不明な type "${question.type}"`);
+        }
+        messages.push(...this.validateTags(question));
+        if (question.pastExam !== undefined) {
+            messages.push(...this.validatePastExam(question.pastExam));
+        }
+        if (question.format !== undefined && !QUESTION_FORMATS.includes(question.format)) {
+            messages.push(`不明な format "${question.format}"`);
+        }
+        if (question.type === 'scenario' && !this.scenarios[question.scenarioId]) {
+            messages.push(`scenarioId "${question.scenarioId}" の事例がありません`);
+        }
+        if (typeof question.question !== 'string' || question.question.trim() === '') {
+            messages.push('問題文がありません');
+        }
+        if (question.image !== undefined) {
+            messages.push(...this.validateImage(question.image));
+        }
+
+        if (question.hint !== undefined) {
+            const hints = Array.isArray(question.hint) ? question.hint : [question.hint];
+            if (hints.length === 0 || hints.some(hint => typeof hint !== 'string' || hint.trim() === '')) {
+                messages.push('hint は空でない文字列か、その配列が必要です');
+            }
+        }
+
+        if (question.irt !== undefined) {
+            const irt = question.irt || {};
+            if (irt.a !== undefined && !(typeof irt.a === 'number' && irt.a > 0)) {
+                messages.push('irt.a（識別力）は正の数値が必要です');
+            }
+            if (irt.b !== undefined && typeof irt.b !== 'number') {
+                messages.push('irt.b（困難度）は数値が必要です');
+            }
+        }
+
+        messages.push(...this.validateAnswer(question));
+
+        return messages;
+    }
+
+    /**
+     * Validate syllabus codes, topic tags and flags
+     */
+    validateTags(question) {
+        const messages = [];
+        const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+
+        if (question.syllabus !== undefined) {
+            const knownCodes = this.taxonomy.syllabus.map(item => item.code);
+            if (!isStringList(question.syllabus)) {
+                messages.push('syllabus はシラバス項目コードの配列が必要です');
+            } else if (knownCodes.length > 0) {
+                question.syllabus.filter(code => !knownCodes.includes(code)).forEach(code => {
+                    messages.push(`不明なシラバス項目 "${code}"`);
+                });
+            }
+        }
+        // Study page anchors such as "/study/laws/#privacy-laws", linked from the explanation
+        if (question.study !== undefined) {
+            const knownAnchors = this.taxonomy.studySections.map(section => section.anchor);
+            if (!isStringList(question.study) || question.study.some(anchor => !STUDY_ANCHOR_PATTERN.test(anchor))) {
+                messages.push('study は学習ページのアンカー（/study/laws/#privacy-laws など）の配列が必要です');
+            } else if (knownAnchors.length > 0) {
+                question.study.filter(anchor => !knownAnchors.includes(anchor)).forEach(anchor => {
+                    messages.push(`不明な学習ページのアンカー "${anchor}"`);
+                });
+            }
+        }
+        // Topic tags are free-form; the taxonomy's list only drives suggestions and browsing
+        if (question.tags !== undefined && !isStringList(question.tags)) {
+            messages.push('tags は文字列の配列が必要です');
+        }
+        if (question.flags !== undefined) {
+            if (!Array.isArray(question.flags)) {
+                messages.push('flags は配列が必要です');
+            } else {
+                question.flags.filter(flag => !QUESTION_FLAGS.includes(flag)).forEach(flag => {
+                    messages.push(`不明な flag "${flag}"`);
+                });
+            }
+        }
+
+        return messages;
+    }
+
+    /**
+     * Validate past exam provenance: { year: '令和5年度', session: '公開問題', number: 1 }
+     * (the 科目 is the question's own `subject`)
+     */
+    validatePastExam(pastExam) {
+        const messages = [];
+
+        if (!pastExam || typeof pastExam !== 'object') {
+            return ['pastExam は年度・期・問番号を持つオブジェクトが必要です'];
+        }
+        if (typeof pastExam.year !== 'string' || pastExam.year.trim() === '') {
+            messages.push('pastExam.year（年度）がありません');
+        }
+        if (typeof pastExam.session !== 'string' || pastExam.session.trim() === '') {
+            messages.push('pastExam.session（期）がありません');
+        }
+        if (!Number.isInteger(pastExam.number) || pastExam.number < 1) {
+            messages.push('pastExam.number（問番号）は1以上の整数が必要です');
+        }
+
+        return messages;
+    }
+
+    /**
+     * Validate options and correctAnswer for the question's answer format
+     */
+    validateAnswer(question) {
+        const messages = [];
+        const format = question.format || 'single';
+
+        if (format === 'numeric') {
+            if (typeof question.correctAnswer !== 'number' || !Number.isFinite(question.correctAnswer)) {
+                messages.push('数値入力の correctAnswer は数値が必要です');
+            }
+            if (question.tolerance !== undefined && !(typeof question.tolerance === 'number' && question.tolerance >= 0)) {
+                messages.push('tolerance は0以上の数値が必要です');
+            }
+            return messages;
+        }
+
+        if (!Array.isArray(question.options) || question.options.length < 2) {
+            return ['options は2つ以上必要です'];
+        }
+
+        const optionIds = question.options.map(option => option && option.id);
+        if (optionIds.some(id => !id)) {
+            messages.push('id のない選択肢があります');
+        }
+        if (new Set(optionIds).size !== optionIds.length) {
+            messages.push('選択肢の id が重複しています');
+        }
+
+        const answer = question.correctAnswer;
+        if (format === 'single' && !optionIds.includes(answer)) {
+            messages.push(`correctAnswer "${answer}" が options にありません`);
+        }
+        if (format === 'multiple') {
+            if (!Array.isArray(answer) || answer.length === 0) {
+                messages.push('複数選択の correctAnswer は選択肢 id の配列が必要です');
+            } else if (answer.some(id => !optionIds.includes(id)) || new Set(answer).size !== answer.length) {
+                messages.push('correctAnswer に options にない id か重複があります');
+            }
+        }
+        if (format === 'ordering') {
+            if (!Array.isArray(answer) || answer.length !== optionIds.length || optionIds.some(id => !answer.includes(id))) {
+                messages.push('並べ替えの correctAnswer はすべての選択肢 id を1回ずつ並べた配列が必要です');
+            }
+        }
+        if (format === 'matching') {
+            const choiceIds = Array.isArray(question.choices) ? question.choices.map(choice => choice && choice.id) : [];
+            if (choiceIds.length < 2 || choiceIds.some(id => !id) || new Set(choiceIds).size !== choiceIds.length) {
+                messages.push('組合せの choices は id の重複しない2つ以上の項目が必要です');
+            }
+            if (!answer || typeof answer !== 'object' || optionIds.some(id => !choiceIds.includes(answer[id]))) {
+                messages.push('組合せの correctAnswer はすべての選択肢 id を choices の id に対応させる必要があります');
+            }
+        }
+
+        return messages;
+    }
+
+    /**
+     * Validate a question figure: a site path or an http(s) URL, written without quotes or markup
+     */
+    validateImage(image) {
+        if (typeof image !== 'string' || image.trim() === '') {
+            return ['image は空でない文字列が必要です'];
+        }
+        if (/["'<>&\s]/.test(image.trim()) || /^(?!https?:)[a-z][a-z0-9+.-]*:/i.test(image.trim())) {
+            return [`image "${image}" はサイト内のパスか http(s) の URL で指定してください`];
+        }
+        return [];
+    }
+
+    /**
+     * Validate a shared scenario passage
+     */
+    validateScenario(scenario) {
+        const messages = [];
+
+        if (!scenario || typeof scenario.id !== 'string' || scenario.id.trim() === '') {
+            return ['事例の id がありません'];
+        }
+        if (this.scenarios[scenario.id]) {
+            messages.push(`事例 id "${scenario.id}" が重複しています`);
+        }
+        if (typeof scenario.passage !== 'string' || scenario.passage.trim() === '') {
+            messages.push('事例の本文がありません');
+        }
+
+        return messages;
+    }
+
+    /**
+     * Helper methods
+     */
+
+    async fetchJSON(url) {
+        // Packs are named by site path; the site itself may be served from a sub-path
+        const response = await fetch(typeof window !== 'undefined' && window.SitePaths ? window.SitePaths.url(url) : url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} (${url})`);
+        }
+        return response.json();
+    }
+
+    resolvePackUrl(file) {
+        const base = typeof window !== 'undefined' ? window.location.href : 'file:///';
+        return new URL(file, new URL(this.indexUrl, base)).pathname;
+    }
+
+    /**
+     * Key of a past exam question within its set, e.g. "令和5年度 公開問題 科目A-3"
+     */
+    getPastExamNumber(question) {
+        if (!question.pastExam) return null;
+        return `${question.pastExam.year} ${question.pastExam.session} 科目${question.subject || 'A'}-${question.pastExam.number}`;
+    }
+
+    recordError(pack, questionId, index, messages) {
+        this.errors.push({ pack, questionId, index, messages });
+        console.warn(`Invalid question entry in ${pack}${questionId ? ` (${questionId})` : ''}:`, messages.join(', '));
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.QuestionBank = QuestionBank;
+}
+
+// The command-line pack validator (tools/validate-questions.js) loads the same schema under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QuestionBank,
+        QUESTION_BANK_INDEX,
+        QUESTION_CATEGORIES,
+        QUESTION_DIFFICULTIES
+    };
+}
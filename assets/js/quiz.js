@@ -3,6 +3,39 @@
  * Handles practice questions, mock exams, and interactive learning
  */
 
+// Composition of the current-format exam (科目A + 科目B, 120 minutes in total)
+const EXAM_SUBJECTS = {
+    A: { name: '科目A', questionCount: 48 },
+    B: { name: '科目B', questionCount: 12 }
+};
+
+// How sure the learner was of an answer; lucky guesses are reviewed like wrong answers
+const CONFIDENCE_LEVELS = {
+    sure: { name: '自信あり', icon: '💪' },
+    unsure: { name: '迷った', icon: '🤔' },
+    guess: { name: '勘', icon: '🎲' }
+};
+
+// Version of the encoded `?quiz=` share code
+const QUIZ_CODE_VERSION = 1;
+
+// How often the timer saves the session between answers (ms); answering, moving and leaving the page save at once
+const QUIZ_TIMER_CHECKPOINT_INTERVAL = 30000;
+
+/**
+ * Seeded random number generator (mulberry32), so a quiz can be rebuilt from its seed
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 /**
  * Quiz Engine Class
  */
@@ -16,6 +49,10 @@ class QuizEngine {
         this.isTimerActive = false;
         this.questionTimer = null;
         this.quizTimer = null;
+        this.lastCheckpointAt = 0;
+        this.questionDatabase = [];
+        this.questionBank = null;
+        this.loadStatus = { state: 'idle', loaded: 0, total: 0, errors: [] };
         
         // Quiz settings
         this.settings = {
@@ -24,7 +61,16 @@ class QuizEngine {
             shuffleQuestions: true,
             shuffleOptions: true,
             timeLimit: 120, // minutes for mock exam
-            questionTimeLimit: 3 // minutes per question
+            questionTimeLimit: 3, // minutes per question
+            scoringModel: 'irt', // 'irt' or 'linear'
+            mistakeMasteryStreak: 2, // correct answers in a row to clear a missed question
+            hintPenalty: 0, // share of a question's credit lost per hint outside mock exams (0 = no penalty)
+            adaptiveMinQuestions: 5, // adaptive practice never stops before this many answers
+            adaptiveMaxQuestions: 25,
+            adaptiveTargetError: 0.45, // stop once the ability estimate's standard error is this small
+            examConditions: false, // mock exams in fullscreen without hints, explanations or shortcuts; leaving is logged
+            immediateFeedback: false, // 一問一答: lock each answer and show its explanation right away (not in mock exams)
+            confidenceRating: true // ask 自信あり / 迷った / 勘 beside each answer
         };
         
         this.init();
@@ -36,7 +82,14 @@ class QuizEngine {
     init() {
         this.loadSettings();
         this.setupEventListeners();
-        this.loadQuestionDatabase();
+        this.databaseReady = this.loadQuestionDatabase();
+
+        // Offer to resume a quiz interrupted by a reload, crash or navigation
+        this.databaseReady.then(() => {
+            if (!this.currentQuiz && !this.startRequested) {
+                this.offerResume();
+            }
+        });
     }
 
     /**
@@ -59,6 +112,25 @@ class QuizEngine {
         document.addEventListener('change', (e) => {
             if (e.target.matches('input[name="answer"]')) {
                 this.selectAnswer(e.target.value);
+            } else if (e.target.matches('input[name="answer-multiple"]')) {
+                const checked = [...document.querySelectorAll('input[name="answer-multiple"]:checked')].map(input => input.value);
+                this.selectAnswer(checked.length > 0 ? checked : null);
+            } else if (e.target.matches('.result-card-option')) {
+                this.updateResultCard();
+            } else if (e.target.matches('.match-select')) {
+                const matches = {};
+                document.querySelectorAll('.match-select').forEach(select => {
+                    if (select.value) matches[select.dataset.option] = select.value;
+                });
+                this.selectAnswer(Object.keys(matches).length > 0 ? matches : null);
+            }
+        });
+
+        document.addEventListener('input', (e) => {
+            if (e.target.matches('.numeric-answer')) {
+                this.selectAnswer(e.target.value.trim() || null);
+            } else if (e.target.matches('.result-card-option')) {
+                this.updateResultCard();
             }
         });
 
@@ -74,59 +146,220 @@ class QuizEngine {
                 this.restartQuiz();
             } else if (e.target.matches('.quiz-review')) {
                 this.reviewAnswers();
-            } else if (e.target.matches('.start-quiz')) {
-                const category = e.target.dataset.category;
-                const type = e.target.dataset.type || 'practice';
-                this.startQuiz(category, type);
+            } else if (e.target.matches('.quiz-hint')) {
+                this.showHint();
+            } else if (e.target.matches('.quiz-bookmark')) {
+                this.toggleQuestionBookmark();
+            } else if (e.target.matches('.quiz-share-set')) {
+                this.copyShareLink();
+            } else if (e.target.matches('.quiz-result-card')) {
+                this.openResultCard();
+            } else if (e.target.matches('.result-card-download')) {
+                this.downloadResultCard();
+            } else if (e.target.matches('.result-card-copy')) {
+                this.copyResultText();
+            } else if (e.target.matches('.result-card-share')) {
+                this.shareResultCard();
+            } else if (e.target.matches('.quiz-flag')) {
+                this.toggleReviewFlag();
+            } else if (e.target.matches('.quiz-jump-pending')) {
+                this.jumpToNextPending();
+            } else if (e.target.matches('.quiz-summary-back')) {
+                this.displayQuestion();
+            } else if (e.target.closest('.question-nav-btn')) {
+                this.jumpToQuestion(parseInt(e.target.closest('.question-nav-btn').dataset.question));
+            } else if (e.target.matches('.order-move')) {
+                this.moveOrderItem(e.target.dataset.option, parseInt(e.target.dataset.direction));
+            } else if (e.target.matches('.order-confirm')) {
+                this.confirmOrder();
+            } else if (e.target.matches('.quiz-check-answer')) {
+                this.lockAnswer();
+            } else if (e.target.closest('.confidence-option')) {
+                this.setConfidence(e.target.closest('.confidence-option').dataset.confidence);
+            } else if (e.target.matches('.quiz-resume-continue')) {
+                const countTimeAway = document.getElementById('resume-count-away');
+                this.resumeQuiz(countTimeAway ? countTimeAway.checked : false);
+            } else if (e.target.matches('.quiz-fullscreen')) {
+                this.requestExamFullscreen();
+            } else if (e.target.matches('.quiz-resume-discard')) {
+                this.discardSavedQuiz();
+            } else if (e.target.closest('.start-past-exam')) {
+                this.startPastExam(e.target.closest('.start-past-exam').dataset.pastExam);
+            } else if (e.target.closest('.start-quiz')) {
+                const button = e.target.closest('.start-quiz');
+                const filters = this.createFilters(button.dataset);
+                const type = button.dataset.type || 'practice';
+                const settings = button.dataset.feedback === 'immediate' ? { immediateFeedback: true } : {};
+                this.startQuiz(filters, type, null, { settings });
             }
         });
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
-            if (this.currentQuiz) {
+            if (this.currentQuiz && !this.currentQuiz.completed && !this.currentQuiz.preview && !this.currentQuiz.settings.examConditions) {
                 this.handleKeyboardShortcuts(e);
             }
         });
+
+        // Checkpoint before the page is hidden, discarded or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.logIntegrityEvent('tab-hidden');
+                this.checkpointQuiz();
+            } else {
+                this.closeIntegrityEvent('tab-hidden');
+            }
+        });
+        window.addEventListener('pagehide', () => this.checkpointQuiz());
+
+        // Exam conditions: log leaving fullscreen and warn before leaving the page
+        document.addEventListener('fullscreenchange', () => {
+            if (document.fullscreenElement) {
+                this.closeIntegrityEvent('fullscreen-exit');
+            } else {
+                this.logIntegrityEvent('fullscreen-exit');
+            }
+        });
+        window.addEventListener('beforeunload', (e) => {
+            if (this.isExamInProgress()) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
     }
 
     /**
-     * Load question database
+     * Load question database from the question packs
      */
     async loadQuestionDatabase() {
-        try {
-            // In a real implementation, this would load from external files
+        this.loadStatus = { state: 'loading', loaded: 0, total: 0, errors: [] };
+
+        if (window.QuestionBank) {
+            this.questionBank = new window.QuestionBank();
+            try {
+                this.questionDatabase = await this.questionBank.load(progress => {
+                    this.updateLoadStatus(progress);
+                });
+            } catch (error) {
+                console.error('Failed to load question database:', error);
+                this.questionBank.errors.push({
+                    pack: this.questionBank.indexUrl,
+                    questionId: null,
+                    index: null,
+                    messages: [`問題集の一覧を読み込めませんでした: ${error.message}`]
+                });
+            }
+        }
+
+        // Fall back to the built-in questions when no pack could be loaded (e.g. offline)
+        if (this.questionDatabase.length === 0) {
             this.questionDatabase = this.generateSampleQuestions();
-            console.log('Question database loaded');
-        } catch (error) {
-            console.error('Failed to load question database:', error);
+        }
+
+        this.loadStatus = {
+            ...this.loadStatus,
+            state: 'loaded',
+            errors: this.questionBank ? this.questionBank.errors : []
+        };
+        console.log(`Question database loaded: ${this.questionDatabase.length} questions`);
+    }
+
+    /**
+     * Update question pack loading progress
+     */
+    updateLoadStatus(progress) {
+        this.loadStatus = { ...this.loadStatus, ...progress };
+
+        const progressElement = document.getElementById('question-load-progress');
+        if (progressElement) {
+            progressElement.textContent = `${this.loadStatus.loaded} / ${this.loadStatus.total}`;
         }
     }
 
     /**
-     * Start a quiz
+     * Start a quiz from a category name or a set of question filters
+     * customQuestions: the questions to ask, or a function picking them once the quiz seed is set
      */
-    startQuiz(category, type = 'practice', customQuestions = null) {
+    async startQuiz(selection, type = 'practice', customQuestions = null, options = {}) {
+        this.startRequested = true;
+
+        const filters = typeof selection === 'string' ? { category: selection } : { category: 'all', ...selection };
+        const category = typeof filters.category === 'string' ? filters.category : 'all';
+        const settings = { ...this.settings, ...(options.settings || {}) };
+
+        // Exam conditions only apply to mock and past exams; explanations stay hidden until the
+        // results, since exams never give immediate feedback
+        settings.examConditions = this.isExamType(type) && !!settings.examConditions;
+        settings.immediateFeedback = !this.isExamType(type) && !!settings.immediateFeedback;
+
+        // Starting over replaces the saved session, so ask first
+        if (this.getSavedSession()) {
+            if (!confirm('中断中の問題演習があります。破棄して新しく始めますか？')) {
+                await this.databaseReady;
+                this.offerResume();
+                return;
+            }
+            window.StorageManager.clearQuizSession();
+        }
+
+        // Fullscreen has to be requested before the first await, while the click still counts
+        if (settings.examConditions) {
+            this.requestExamFullscreen();
+        }
+
+        // Wait for the question packs before building the quiz
+        if (this.loadStatus.state !== 'loaded') {
+            this.showLoadingScreen();
+            await this.databaseReady;
+        }
+
+        // Every random choice below comes from the quiz seed
+        const seed = options.seed !== undefined ? options.seed : this.generateSeed();
+        this.random = createRandom(seed);
+
         // Prepare quiz data
-        let questions = customQuestions || this.getQuestionsByCategory(category, type);
+        let questions = typeof customQuestions === 'function'
+            ? customQuestions()
+            : customQuestions || this.selectQuizQuestions(filters, type);
+
+        if (questions.length === 0) {
+            this.showEmptyQuiz(category, type);
+            return;
+        }
         
-        if (this.settings.shuffleQuestions) {
-            questions = this.shuffleArray([...questions]);
+        // Mock exams keep 科目A before 科目B; each part is already shuffled.
+        // Past exams keep their published order, and shared quizzes the order they were first taken in.
+        if (settings.shuffleQuestions && !this.isExamType(type) && !options.shared) {
+            questions = this.shuffleQuestionUnits(questions);
         }
 
         // Initialize quiz state
         this.currentQuiz = {
             id: this.generateQuizId(),
+            seed: seed,
             category: category,
+            filters: filters,
             type: type,
             questions: questions,
             startTime: Date.now(),
-            timeLimit: type === 'mock' ? this.settings.timeLimit * 60 * 1000 : null,
-            settings: { ...this.settings }
+            timeLimit: this.getTimeLimit(type, options.timeLimit),
+            adaptive: type === 'adaptive',
+            shared: !!options.shared,
+            custom: options.custom || null,
+            settings: settings
         };
+        this.currentQuiz.optionOrders = questions.map((question, index) => this.getOptionOrder(question, index));
 
         this.currentQuestion = 0;
         this.answers = new Array(questions.length).fill(null);
+        this.questionTimes = new Array(questions.length).fill(0);
+        this.hintsUsed = new Array(questions.length).fill(0);
+        this.flagged = new Array(questions.length).fill(false);
+        this.locked = new Array(questions.length).fill(false);
+        this.confidence = new Array(questions.length).fill(null);
+        this.integrityEvents = [];
         this.startTime = Date.now();
+        this.questionStartTime = Date.now();
 
         // Setup UI
         this.setupQuizUI();
@@ -137,6 +370,8 @@ class QuizEngine {
             this.startTimer();
         }
 
+        this.checkpointQuiz();
+
         // Track quiz start
         this.trackQuizEvent('quiz_started', {
             category: category,
@@ -145,6 +380,420 @@ class QuizEngine {
         });
     }
 
+    /**
+     * Show a single question in `#question-container` without starting a quiz, with every hint revealed
+     * (used by the authoring page; the preview is never checkpointed or scored)
+     */
+    previewQuestion(question) {
+        this.currentQuiz = {
+            id: 'preview',
+            category: question.category,
+            filters: { category: question.category },
+            type: 'preview',
+            questions: [question],
+            optionOrders: [null],
+            preview: true,
+            settings: { ...this.settings, examConditions: false, immediateFeedback: false }
+        };
+
+        this.currentQuestion = 0;
+        this.answers = [null];
+        this.questionTimes = [0];
+        this.hintsUsed = [this.getQuestionHints(question).length];
+        this.flagged = [false];
+        this.locked = [false];
+        this.confidence = [null];
+        this.questionStartTime = Date.now();
+
+        this.displayQuestion();
+    }
+
+    /**
+     * Start a quiz assembled by the custom quiz builder
+     * config: { categories, tags, difficultyMix, questionCount, timeLimit, feedback, shuffleQuestions, shuffleOptions }
+     * feedback: 'review' (explanations after submitting), 'score' (no explanations) or 'immediate' (一問一答)
+     */
+    async startCustomQuiz(config) {
+        await this.databaseReady;
+
+        // Selected inside startQuiz, so the picks come from this quiz's seed
+        return this.startQuiz(this.getCustomFilters(config), 'custom', () => this.selectCustomQuestions(config), {
+            custom: config,
+            timeLimit: config.timeLimit,
+            settings: {
+                shuffleQuestions: config.shuffleQuestions !== false,
+                shuffleOptions: config.shuffleOptions !== false,
+                showExplanation: config.feedback !== 'score',
+                immediateFeedback: config.feedback === 'immediate'
+            }
+        });
+    }
+
+    /**
+     * Replay a past exam set (年度別) in its published order and time
+     */
+    async startPastExam(setId) {
+        if (this.loadStatus.state !== 'loaded') {
+            this.showLoadingScreen();
+            await this.databaseReady;
+        }
+
+        const set = this.getPastExamSets().find(entry => entry.id === setId);
+
+        return this.startQuiz({ category: 'all', pastExam: [setId] }, 'past', null, {
+            timeLimit: set ? set.timeLimit : undefined,
+            settings: { shuffleQuestions: false, shuffleOptions: false }
+        });
+    }
+
+    /**
+     * Past exam sets in the question bank, newest first:
+     * { id, year, session, title, questionCount, subjectCounts, timeLimit (minutes) }
+     * The taxonomy's `pastExams` entries ({ year, session, timeLimit }) set a set's time;
+     * otherwise it gets the current exam's time per question
+     */
+    getPastExamSets() {
+        const timings = this.questionBank ? this.questionBank.taxonomy.pastExams : [];
+        const minutesPerQuestion = this.settings.timeLimit / (EXAM_SUBJECTS.A.questionCount + EXAM_SUBJECTS.B.questionCount);
+        const sets = {};
+
+        this.questionDatabase.filter(question => question.pastExam).forEach(question => {
+            const id = this.getPastExamId(question);
+            if (!sets[id]) {
+                sets[id] = {
+                    id: id,
+                    year: question.pastExam.year,
+                    session: question.pastExam.session,
+                    title: id,
+                    questionCount: 0,
+                    subjectCounts: {}
+                };
+            }
+            const subject = this.getQuestionSubject(question);
+            sets[id].questionCount++;
+            sets[id].subjectCounts[subject] = (sets[id].subjectCounts[subject] || 0) + 1;
+        });
+
+        return Object.values(sets)
+            .map(set => {
+                const timing = timings.find(entry => entry.year === set.year && entry.session === set.session);
+                return {
+                    ...set,
+                    timeLimit: timing && timing.timeLimit ? timing.timeLimit : Math.round(set.questionCount * minutesPerQuestion)
+                };
+            })
+            .sort((a, b) => b.id.localeCompare(a.id, 'ja'));
+    }
+
+    getPastExamId(question) {
+        return `${question.pastExam.year} ${question.pastExam.session}`;
+    }
+
+    /**
+     * Provenance line for a past exam question, e.g. "令和5年度 公開問題 科目A 問3"
+     */
+    getPastExamLabel(question) {
+        if (!question.pastExam) return '';
+        return `${this.getPastExamId(question)} ${this.getSubjectName(this.getQuestionSubject(question))} 問${question.pastExam.number}`;
+    }
+
+    /**
+     * Time limit in milliseconds; an explicit limit in minutes (0 = untimed) wins over the mock exam default
+     */
+    getTimeLimit(type, minutes) {
+        if (minutes !== undefined && minutes !== null) {
+            return minutes > 0 ? minutes * 60 * 1000 : null;
+        }
+        return type === 'mock' ? this.settings.timeLimit * 60 * 1000 : null;
+    }
+
+    /**
+     * Enter fullscreen for exam conditions; browsers only allow this from a click or key press
+     */
+    requestExamFullscreen() {
+        const root = document.documentElement;
+        if (!root || !root.requestFullscreen || document.fullscreenElement) return;
+
+        root.requestFullscreen().catch(error => {
+            console.warn('Fullscreen request was refused:', error);
+        });
+    }
+
+    isExamInProgress() {
+        return !!(this.currentQuiz && !this.currentQuiz.completed && this.currentQuiz.settings.examConditions);
+    }
+
+    /**
+     * Record leaving the tab or fullscreen during an exam-conditions quiz
+     * `offset` is the quiz time elapsed so far, taken now because resuming moves startTime
+     */
+    logIntegrityEvent(type) {
+        if (!this.isExamInProgress()) return;
+
+        const at = Date.now();
+        this.integrityEvents.push({ type: type, at: at, offset: at - this.currentQuiz.startTime, returnedAt: null });
+        this.updateIntegrityStatus();
+        this.checkpointQuiz();
+    }
+
+    /**
+     * Mark the latest open event of a type as returned from
+     */
+    closeIntegrityEvent(type) {
+        if (!this.isExamInProgress()) return;
+
+        const event = [...this.integrityEvents].reverse().find(entry => entry.type === type && !entry.returnedAt);
+        if (event) {
+            event.returnedAt = Date.now();
+            this.checkpointQuiz();
+        }
+        this.updateIntegrityStatus();
+    }
+
+    updateIntegrityStatus() {
+        const countElement = document.getElementById('integrity-count');
+        if (countElement) {
+            countElement.textContent = this.integrityEvents.length > 0
+                ? `画面から離れた回数: ${this.integrityEvents.length}回`
+                : '';
+        }
+
+        const fullscreenBtn = document.querySelector('.quiz-fullscreen');
+        if (fullscreenBtn) {
+            fullscreenBtn.style.display = document.fullscreenElement ? 'none' : '';
+        }
+    }
+
+    /**
+     * Rebuild a quiz from a `?quiz=` share code
+     */
+    async startSharedQuiz(code) {
+        const shared = this.decodeQuizCode(code);
+
+        if (this.loadStatus.state !== 'loaded') {
+            this.showLoadingScreen();
+            await this.databaseReady;
+        }
+
+        const questions = shared ? shared.questionIds.map(id => this.questionDatabase.find(q => q.id === id)) : [];
+        if (!shared || questions.length === 0 || questions.some(question => !question)) {
+            this.showEmptyQuiz(shared ? shared.category : 'all', 'shared');
+            return;
+        }
+
+        return this.startQuiz(shared.filters, shared.type, questions, {
+            seed: shared.seed,
+            shared: true,
+            settings: { shuffleOptions: shared.shuffleOptions }
+        });
+    }
+
+    /**
+     * Encode the current quiz's seed and question ids for a share link
+     */
+    encodeQuizCode() {
+        const json = JSON.stringify({
+            v: QUIZ_CODE_VERSION,
+            s: this.currentQuiz.seed,
+            c: this.currentQuiz.category,
+            f: this.currentQuiz.filters,
+            // An adaptive run is shared as the fixed set it turned out to be
+            t: this.currentQuiz.adaptive ? 'practice' : this.currentQuiz.type,
+            o: this.currentQuiz.settings.shuffleOptions ? 1 : 0,
+            q: this.currentQuiz.questions.map(q => q.id)
+        });
+
+        // Base64url keeps the code readable in a query string
+        return btoa(unescape(encodeURIComponent(json)))
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    decodeQuizCode(code) {
+        try {
+            const base64 = code.replace(/-/g, '+').replace(/_/g, '/');
+            const data = JSON.parse(decodeURIComponent(escape(atob(base64))));
+
+            if (data.v !== QUIZ_CODE_VERSION || !Array.isArray(data.q) || typeof data.s !== 'number') {
+                return null;
+            }
+
+            return {
+                seed: data.s,
+                category: data.c || 'all',
+                filters: data.f || { category: data.c || 'all' },
+                type: data.t || 'practice',
+                shuffleOptions: data.o === 1,
+                questionIds: data.q
+            };
+        } catch (e) {
+            console.warn('Invalid quiz share code:', e);
+            return null;
+        }
+    }
+
+    getShareUrl() {
+        const url = new URL(this.getReturnUrl());
+        url.searchParams.set('quiz', this.encodeQuizCode());
+        return url.href;
+    }
+
+    /**
+     * Copy the link that rebuilds this exact quiz
+     */
+    async copyShareLink() {
+        const url = this.getShareUrl();
+        const status = document.getElementById('quiz-share-status');
+
+        try {
+            await navigator.clipboard.writeText(url);
+            if (status) status.textContent = 'リンクをコピーしました。同じ問題・同じ選択肢の順で出題されます。';
+        } catch (e) {
+            // Clipboard access can be blocked; let the user copy by hand
+            window.prompt('この問題セットのリンク', url);
+        }
+    }
+
+    /**
+     * Show the result card builder under the results; only the options the user ticks go on the card
+     */
+    openResultCard() {
+        const panel = document.getElementById('result-card-panel');
+        if (!panel || !window.ResultCard) return;
+
+        panel.innerHTML = `
+            <h3>結果カード</h3>
+            <p class="result-card-note">スコアと合否のほかは、選んだ項目だけがカードに載ります。</p>
+            <div class="result-card-options">
+                <label>表示名（任意） <input type="text" class="result-card-option" id="result-card-name" maxlength="30" autocomplete="off"></label>
+                <label><input type="checkbox" class="result-card-option" id="result-card-breakdown" checked> 分野別の内訳</label>
+                <label><input type="checkbox" class="result-card-option" id="result-card-time" checked> 所要時間</label>
+                <label><input type="checkbox" class="result-card-option" id="result-card-date"> 受験日</label>
+            </div>
+            <canvas class="result-card-preview" id="result-card-canvas" role="img" aria-label="結果カードのプレビュー"></canvas>
+            <textarea class="result-card-text" id="result-card-text" rows="8" readonly aria-label="結果のテキスト"></textarea>
+            <div class="result-card-actions">
+                <button class="btn btn-primary result-card-download">画像を保存</button>
+                <button class="btn btn-outline result-card-copy">テキストをコピー</button>
+                ${window.ResultCard.isShareSupported() ? '<button class="btn btn-outline result-card-share">共有…</button>' : ''}
+            </div>
+            <p class="quiz-share-status" id="result-card-status" role="status"></p>
+        `;
+
+        this.updateResultCard();
+        panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Redraw the card preview and text after an option changes
+     */
+    updateResultCard() {
+        const canvas = document.getElementById('result-card-canvas');
+        if (!canvas || !this.currentQuiz || !this.currentQuiz.results) return;
+
+        const summary = this.getResultSummary(this.currentQuiz.results);
+        const options = this.getResultCardOptions();
+        window.ResultCard.draw(canvas, summary, options);
+        document.getElementById('result-card-text').value = window.ResultCard.toText(summary, options);
+
+        // Encode the PNG now: saving and sharing must not wait on it, or the click no longer counts
+        const file = window.ResultCard.toFile(canvas, `sg-result-${new Date().toISOString().slice(0, 10)}.png`);
+        this.resultCardFile = null;
+        this.pendingResultCardFile = file;
+        file.then(result => {
+            if (this.pendingResultCardFile === file) this.resultCardFile = result;
+        }).catch(e => console.error('Failed to create result card image:', e));
+    }
+
+    /**
+     * What goes on a result card: the score, the verdict and the per-category counts, without any stored user data
+     */
+    getResultSummary(results) {
+        return {
+            title: this.getQuizTitle(),
+            score: results.score,
+            maxScore: 1000,
+            passed: results.passed,
+            percentage: results.percentage,
+            correctAnswers: results.correctAnswers,
+            totalQuestions: results.totalQuestions,
+            time: this.formatTime(results.timeSpent),
+            breakdown: Object.entries(results.categoryScores).map(([category, scores]) => ({
+                name: this.getCategoryName(category),
+                correct: scores.correct,
+                total: scores.total
+            })),
+            completedAt: results.completedAt
+        };
+    }
+
+    getResultCardOptions() {
+        const checked = id => {
+            const input = document.getElementById(id);
+            return !!(input && input.checked);
+        };
+        const nameInput = document.getElementById('result-card-name');
+
+        return {
+            name: nameInput ? nameInput.value.trim() : '',
+            showBreakdown: checked('result-card-breakdown'),
+            showTime: checked('result-card-time'),
+            showDate: checked('result-card-date')
+        };
+    }
+
+    downloadResultCard() {
+        if (!this.resultCardFile) {
+            this.setResultCardStatus('画像を準備しています。少し待ってからもう一度お試しください。');
+            return;
+        }
+
+        window.ResultCard.download(this.resultCardFile);
+        this.setResultCardStatus('画像を保存しました。');
+    }
+
+    async copyResultText() {
+        const textarea = document.getElementById('result-card-text');
+        if (!textarea) return;
+
+        try {
+            await navigator.clipboard.writeText(textarea.value);
+            this.setResultCardStatus('結果のテキストをコピーしました。');
+        } catch (e) {
+            // Clipboard access can be blocked; leave the text selected to copy by hand
+            textarea.select();
+            this.setResultCardStatus('テキストを選択しました。コピーして貼り付けてください。');
+        }
+    }
+
+    async shareResultCard() {
+        if (!this.currentQuiz.results) return;
+
+        try {
+            // The image is attached when it is ready; the text is always shared
+            await window.ResultCard.share(this.resultCardFile, this.getResultSummary(this.currentQuiz.results), this.getResultCardOptions());
+            this.setResultCardStatus('共有しました。');
+        } catch (e) {
+            // Closing the share sheet is not an error
+            if (e.name !== 'AbortError') {
+                console.error('Failed to share result card:', e);
+                this.setResultCardStatus('共有できませんでした。画像の保存かテキストのコピーをお使いください。');
+            }
+        }
+    }
+
+    setResultCardStatus(message) {
+        const status = document.getElementById('result-card-status');
+        if (status) status.textContent = message;
+    }
+
+    /**
+     * Option order for a question, derived from the quiz seed and the question's position
+     */
+    getOptionOrder(question, index) {
+        const random = createRandom((this.currentQuiz.seed ^ Math.imul(index + 1, 0x9E3779B1)) >>> 0);
+        return this.getAnswerFormat(question).getOptionOrder(question, array => this.shuffleArray(array, random), this.currentQuiz.settings);
+    }
+
     /**
      * Setup quiz UI
      */
@@ -158,11 +807,22 @@ class QuizEngine {
                     <h2 class="quiz-title">${this.getQuizTitle()}</h2>
                     <div class="quiz-meta">
                         <span class="question-counter">
-                            問題 <span id="current-question">1</span> / <span id="total-questions">${this.currentQuiz.questions.length}</span>
+                            問題 <span id="current-question">1</span> / <span id="total-questions">${this.currentQuiz.adaptive ? `最大${this.currentQuiz.settings.adaptiveMaxQuestions}` : this.currentQuiz.questions.length}</span>
                         </span>
                         ${this.currentQuiz.timeLimit ? '<span class="quiz-timer" id="quiz-timer">00:00</span>' : ''}
+                        ${this.currentQuiz.settings.immediateFeedback ? `
+                        <span class="running-score">正解 <span id="running-score">0 / 0</span></span>
+                        ` : ''}
                     </div>
                 </div>
+                ${this.currentQuiz.settings.examConditions ? `
+                <div class="exam-conditions-bar" role="status">
+                    <span class="exam-conditions-label">🔒 本番モード</span>
+                    <span class="integrity-count" id="integrity-count"></span>
+                    <button class="btn btn-outline quiz-fullscreen">全画面表示に戻る</button>
+                </div>
+                ` : ''}
+                ${this.generateLoadWarnings()}
                 <div class="quiz-progress">
                     <div class="progress-bar">
                         <div class="progress-fill" id="quiz-progress"></div>
@@ -178,8 +838,11 @@ class QuizEngine {
                 <div class="quiz-controls">
                     <button class="btn btn-outline quiz-prev" disabled>前の問題</button>
                     <div class="quiz-actions">
-                        <button class="btn btn-outline quiz-bookmark" title="ブックマーク">🔖</button>
+                        ${this.currentQuiz.adaptive ? '' : '<button class="btn btn-outline quiz-flag" title="見直し" aria-pressed="false">🚩 見直し</button>'}
+                        ${this.currentQuiz.settings.examConditions ? '' : `
+                        <button class="btn btn-outline quiz-bookmark" title="ブックマーク" aria-pressed="false">🔖</button>
                         <button class="btn btn-outline quiz-hint" title="ヒント">💡</button>
+                        `}
                     </div>
                     <button class="btn btn-primary quiz-next">次の問題</button>
                 </div>
@@ -191,6 +854,13 @@ class QuizEngine {
                     <div class="question-grid" id="question-grid">
                         ${this.generateQuestionGrid()}
                     </div>
+                    ${this.currentQuiz.adaptive ? '' : `
+                    <div class="question-grid-legend">
+                        <span class="legend-answered">回答済み</span>
+                        <span class="legend-flagged">見直し</span>
+                    </div>
+                    <button class="btn btn-outline quiz-jump-pending">次の見直し・未回答へ</button>
+                    `}
                 </div>
                 
                 <div class="quiz-stats">
@@ -203,6 +873,10 @@ class QuizEngine {
                         <span class="stat-label">未回答</span>
                         <span class="stat-value" id="unanswered-count">${this.currentQuiz.questions.length}</span>
                     </div>
+                    <div class="stat-item">
+                        <span class="stat-label">見直し</span>
+                        <span class="stat-value" id="flagged-count">0</span>
+                    </div>
                     ${this.currentQuiz.timeLimit ? `
                     <div class="stat-item">
                         <span class="stat-label">残り時間</span>
@@ -213,10 +887,77 @@ class QuizEngine {
             </div>
         `;
 
+        this.updateIntegrityStatus();
+
         // Show quiz container
         quizContainer.style.display = 'block';
     }
 
+    /**
+     * Show loading screen while question packs are fetched
+     */
+    showLoadingScreen() {
+        const quizContainer = document.getElementById('quiz-container');
+        if (!quizContainer) return;
+
+        quizContainer.innerHTML = `
+            <div class="quiz-loading" role="status" aria-live="polite">
+                <p>問題を読み込んでいます... <span id="question-load-progress">${this.loadStatus.loaded} / ${this.loadStatus.total}</span></p>
+            </div>
+        `;
+        quizContainer.style.display = 'block';
+    }
+
+    /**
+     * Show message when no questions match the selection
+     */
+    showEmptyQuiz(category, type) {
+        const quizContainer = document.getElementById('quiz-container');
+        if (!quizContainer) return;
+
+        const emptyMessages = {
+            review: '今日復習する問題はありません。',
+            mistakes: '克服していない間違えた問題はありません。',
+            bookmarks: 'ブックマークした問題はありません。問題画面の🔖ボタンで追加できます。',
+            resume: '中断した問題の一部が見つからないため、再開できませんでした。',
+            adaptive: 'アダプティブ演習で出題できる問題がありません。',
+            shared: '共有された問題セットを読み込めませんでした。リンクが壊れているか、問題が更新された可能性があります。',
+            past: 'この年度の過去問が見つかりません。問題データが更新された可能性があります。',
+            custom: '条件に合う問題がありません。分野やキーワードを変えてお試しください。'
+        };
+
+        quizContainer.innerHTML = `
+            <div class="quiz-empty">
+                <h2>${this.getQuizTypeTitle(type) || this.getCategoryName(category)}</h2>
+                <p>${emptyMessages[type] || '出題できる問題がありません。'}</p>
+                ${this.generateLoadWarnings()}
+            </div>
+        `;
+        quizContainer.style.display = 'block';
+    }
+
+    /**
+     * Generate warnings for question pack entries that failed to load
+     */
+    generateLoadWarnings() {
+        const errors = this.loadStatus.errors;
+        if (!errors || errors.length === 0) return '';
+
+        return `
+            <details class="quiz-load-warnings">
+                <summary>⚠️ ${errors.length}件の問題データを読み込めませんでした</summary>
+                <ul>
+                    ${errors.map(error => `
+                        <li>
+                            <strong>${this.escapeHtml(error.pack)}${error.questionId ? ` / ${this.escapeHtml(error.questionId)}` : ''}</strong>
+                            ${error.messages.map(message => this.escapeHtml(message)).join('、')}
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }
+
     /**
      * Display current question
      */
@@ -226,66 +967,251 @@ class QuizEngine {
         
         if (!container || !question) return;
 
-        // Shuffle options if setting is enabled
-        const options = this.settings.shuffleOptions ? 
-            this.shuffleArray([...question.options]) : question.options;
+        if (question.type === 'scenario') {
+            this.displayScenarioQuestion(question, container);
+        } else {
+            container.innerHTML = this.renderQuestion(question);
+        }
 
-        container.innerHTML = `
-            <div class="question">
-                <div class="question-header">
-                    <div class="question-category">${this.getCategoryName(question.category)}</div>
-                    <div class="question-difficulty ${question.difficulty}">${this.getDifficultyText(question.difficulty)}</div>
-                </div>
-                
-                <div class="question-text">
-                    <h3>${question.question}</h3>
-                    ${question.image ? `<img src="${question.image}" alt="問題図" class="question-image">` : ''}
-                </div>
-                
-                <div class="question-options">
-                    ${options.map((option, index) => `
-                        <label class="option-label">
-                            <input type="radio" name="answer" value="${option.id}" 
-                                   ${this.answers[this.currentQuestion] === option.id ? 'checked' : ''}>
-                            <span class="option-text">
-                                <span class="option-number">${String.fromCharCode(65 + index)}</span>
-                                ${option.text}
-                            </span>
-                        </label>
-                    `).join('')}
-                </div>
-                
-                ${question.hint ? `
-                <div class="question-hint" id="question-hint" style="display: none;">
-                    <div class="hint-header">💡 ヒント</div>
-                    <div class="hint-content">${question.hint}</div>
-                </div>
-                ` : ''}
-            </div>
-        `;
+        // A checked 一問一答 answer can no longer be changed
+        if (this.locked[this.currentQuestion]) {
+            container.querySelectorAll('.question-answer input, .question-answer select, .question-answer button').forEach(input => {
+                input.disabled = true;
+            });
+        }
 
         // Update UI elements
         this.updateQuizUI();
     }
 
+    /**
+     * Display a 科目B sub-question next to its shared case-study passage
+     */
+    displayScenarioQuestion(question, container) {
+        const scenario = question.scenario;
+        const siblings = this.getScenarioQuestionIndexes(question.scenarioId);
+        const position = siblings.indexOf(this.currentQuestion) + 1;
+
+        const questionHTML = `
+            <div class="scenario-position">設問 ${position} / ${siblings.length}</div>
+            ${this.renderQuestion(question)}
+        `;
+
+        // Keep the passage (and its scroll position) when moving between sub-questions
+        const passage = container.querySelector('.scenario-passage');
+        if (passage && passage.dataset.scenario === scenario.id) {
+            container.querySelector('.scenario-question-pane').innerHTML = questionHTML;
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="scenario-layout">
+                <section class="scenario-passage" data-scenario="${scenario.id}" tabindex="0" aria-label="事例">
+                    <h3 class="scenario-title">${this.renderContent(scenario.title, true)}</h3>
+                    <div class="scenario-body rich-text">${this.renderContent(scenario.passage)}</div>
+                </section>
+                <div class="scenario-question-pane">
+                    ${questionHTML}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render question stem, options and hint
+     */
+    renderQuestion(question) {
+        const format = this.getAnswerFormat(question);
+
+        return `
+            <div class="question">
+                <div class="question-header">
+                    ${this.hasSubjects() ? `<div class="question-subject">${this.getSubjectName(this.getQuestionSubject(question))}</div>` : ''}
+                    <div class="question-category">${this.getCategoryName(question.category)}</div>
+                    <div class="question-difficulty ${question.difficulty}">${this.getDifficultyText(question.difficulty)}</div>
+                    ${question.pastExam ? `<div class="question-source">${this.getPastExamLabel(question)}</div>` : ''}
+                </div>
+                
+                <div class="question-text">
+                    <div class="question-stem rich-text">${this.renderContent(question.question)}</div>
+                    ${this.renderImage(question.image)}
+                </div>
+                
+                <div class="question-answer rich-text" data-format="${format.id}">
+                    ${format.render(question, this.answers[this.currentQuestion], {
+                        optionOrder: this.currentQuiz.optionOrders[this.currentQuestion]
+                    })}
+                </div>
+
+                ${this.currentQuiz.settings.confidenceRating ? this.renderConfidencePicker() : ''}
+                
+                ${this.getQuestionHints(question).length > 0 ? `
+                <div class="question-hint" id="question-hint" aria-live="polite" ${this.hintsUsed[this.currentQuestion] > 0 ? '' : 'style="display: none;"'}>
+                    ${this.renderHints(question)}
+                </div>
+                ` : ''}
+
+                ${this.currentQuiz.settings.immediateFeedback ? this.renderInstantFeedback(question, format) : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * 一問一答: a check button until the answer is locked, then the verdict and explanation
+     */
+    renderInstantFeedback(question, format) {
+        const answer = this.answers[this.currentQuestion];
+
+        if (!this.locked[this.currentQuestion]) {
+            // Single-choice answers lock as soon as they are picked
+            return format.id === 'single' ? '' : `
+                <button class="btn btn-outline quiz-check-answer" ${answer === null ? 'disabled' : ''}>解答を確認</button>
+            `;
+        }
+
+        const credit = this.scoreAnswer(question, answer);
+        const status = credit === 1 ? 'correct' : credit > 0 ? 'partial' : 'incorrect';
+        const labels = {
+            correct: '⭕ 正解',
+            partial: `🔺 部分正解（${Math.round(credit * 100)}%）`,
+            incorrect: '❌ 不正解'
+        };
+
+        return `
+            <div class="instant-feedback ${status}" id="instant-feedback" role="status">
+                <div class="instant-feedback-status">${labels[status]}</div>
+                ${status !== 'correct' ? `
+                <div class="correct-answer">
+                    <strong>正解:</strong>
+                    ${format.describeCorrect(question)}
+                </div>
+                ${this.renderRepeatedMistake(question, answer)}
+                ` : ''}
+                ${question.explanation ? `
+                <div class="explanation">
+                    <h5>解説</h5>
+                    <div class="explanation-body rich-text">${this.renderContent(question.explanation)}</div>
+                </div>
+                ` : ''}
+                ${question.reference ? `
+                <div class="reference">
+                    <strong>参考:</strong> ${this.renderContent(question.reference, true)}
+                </div>
+                ` : ''}
+                ${this.renderStudyLinks(question)}
+            </div>
+        `;
+    }
+
+    /**
+     * Warning when an answer repeats a wrong pick from the last attempt, which points to a misconception
+     */
+    renderRepeatedMistake(question, answer) {
+        const repeated = this.getRepeatedWrongChoices(question, answer);
+        if (repeated.length === 0) return '';
+
+        const format = this.getAnswerFormat(question);
+        return `
+            <div class="repeated-mistake rich-text" role="note">
+                <strong>⚠ 前回も同じ誤答を選んでいます:</strong>
+                ${repeated.map(key => format.describeChoice(question, key)).join('、')}
+                <p>知識不足というより、特定の思い込みがあるかもしれません。この選択肢がなぜ誤りなのかを解説で確認しましょう。</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Wrong picks in an answer that were also made the last time the question was answered
+     */
+    getRepeatedWrongChoices(question, answer) {
+        if (!window.StorageManager || answer === null) return [];
+
+        const previous = window.StorageManager.getQuestionHistory(question.id)
+            .filter(attempt => attempt.quizId !== this.currentQuiz.id);
+        const last = previous[previous.length - 1];
+        if (!last || last.answer === null) return [];
+
+        const earlier = window.AnswerFormats.wrongChoices(question, last.answer);
+        return window.AnswerFormats.wrongChoices(question, answer).filter(key => earlier.includes(key));
+    }
+
+    /**
+     * Render the hints revealed so far for a question
+     */
+    renderHints(question) {
+        const hints = this.getQuestionHints(question);
+        const used = this.hintsUsed[this.currentQuestion];
+
+        return `
+            <div class="hint-header">💡 ヒント ${used} / ${hints.length}</div>
+            ${hints.slice(0, used).map(hint => `<div class="hint-content rich-text">${this.renderContent(hint)}</div>`).join('')}
+        `;
+    }
+
+    /**
+     * 自信あり / 迷った / 勘 buttons for the current answer; fixed once a 一問一答 answer is checked
+     */
+    renderConfidencePicker() {
+        const selected = this.confidence[this.currentQuestion];
+        const locked = this.locked[this.currentQuestion];
+
+        return `
+            <div class="confidence-picker" role="group" aria-label="解答の自信">
+                <span class="confidence-label">自信度</span>
+                ${Object.entries(CONFIDENCE_LEVELS).map(([level, info]) => `
+                    <button type="button" class="btn btn-outline confidence-option ${selected === level ? 'active' : ''}"
+                            data-confidence="${level}" aria-pressed="${selected === level}" ${locked ? 'disabled' : ''}>
+                        ${info.icon} ${info.name}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Set (or clear, when picked again) the confidence for the current answer
+     */
+    setConfidence(level) {
+        const index = this.currentQuestion;
+        if (!CONFIDENCE_LEVELS[level] || this.locked[index]) return;
+
+        this.confidence[index] = this.confidence[index] === level ? null : level;
+
+        document.querySelectorAll('.confidence-option').forEach(button => {
+            const active = button.dataset.confidence === this.confidence[index];
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
+        });
+
+        this.checkpointQuiz();
+    }
+
     /**
      * Update quiz UI elements
      */
     updateQuizUI() {
-        // Update question counter
-        document.getElementById('current-question').textContent = this.currentQuestion + 1;
+        // Update question counter (previews have no quiz header)
+        const counter = document.getElementById('current-question');
+        if (counter) counter.textContent = this.currentQuestion + 1;
         
         // Update progress bar
-        const progress = ((this.currentQuestion + 1) / this.currentQuiz.questions.length) * 100;
-        document.getElementById('quiz-progress').style.width = `${progress}%`;
+        const plannedCount = this.currentQuiz.adaptive ? this.currentQuiz.settings.adaptiveMaxQuestions : this.currentQuiz.questions.length;
+        const progress = ((this.currentQuestion + 1) / plannedCount) * 100;
+        const progressBar = document.getElementById('quiz-progress');
+        if (progressBar) progressBar.style.width = `${progress}%`;
         
         // Update navigation buttons
         const prevBtn = document.querySelector('.quiz-prev');
         const nextBtn = document.querySelector('.quiz-next');
         
-        if (prevBtn) prevBtn.disabled = this.currentQuestion === 0;
+        if (prevBtn) prevBtn.disabled = this.currentQuestion === 0 || this.currentQuiz.adaptive;
         if (nextBtn) {
-            if (this.currentQuestion === this.currentQuiz.questions.length - 1) {
+            // Adaptive questions are picked from the answer, so one is required before moving on
+            nextBtn.disabled = this.currentQuiz.adaptive && this.answers[this.currentQuestion] === null;
+
+            if (this.currentQuiz.adaptive) {
+                nextBtn.textContent = '次の問題';
+            } else if (this.currentQuestion === this.currentQuiz.questions.length - 1) {
                 nextBtn.textContent = '解答完了';
                 nextBtn.classList.remove('btn-primary');
                 nextBtn.classList.add('btn-success');
@@ -296,6 +1222,37 @@ class QuizEngine {
             }
         }
         
+        // Update hint and bookmark buttons
+        const question = this.currentQuiz.questions[this.currentQuestion];
+        const hintBtn = document.querySelector('.quiz-hint');
+        const bookmarkBtn = document.querySelector('.quiz-bookmark');
+
+        if (hintBtn) {
+            const hintCount = this.getQuestionHints(question).length;
+            const used = this.hintsUsed[this.currentQuestion];
+            hintBtn.disabled = used >= hintCount || this.locked[this.currentQuestion];
+            hintBtn.title = hintCount === 0 ? 'この問題にヒントはありません'
+                : used >= hintCount ? 'ヒントはすべて表示済みです'
+                : `ヒント (${used + 1} / ${hintCount})`;
+        }
+        const flagBtn = document.querySelector('.quiz-flag');
+        if (flagBtn) {
+            const flagged = this.flagged[this.currentQuestion];
+            flagBtn.classList.toggle('active', flagged);
+            flagBtn.setAttribute('aria-pressed', flagged);
+        }
+        if (bookmarkBtn && window.StorageManager) {
+            const bookmarked = window.StorageManager.isQuestionBookmarked(question.id);
+            bookmarkBtn.classList.toggle('active', bookmarked);
+            bookmarkBtn.setAttribute('aria-pressed', bookmarked);
+            bookmarkBtn.title = bookmarked ? 'ブックマークを解除' : 'ブックマーク';
+        }
+
+        const checkBtn = document.querySelector('.quiz-check-answer');
+        if (checkBtn) {
+            checkBtn.disabled = this.answers[this.currentQuestion] === null;
+        }
+
         // Update question grid
         this.updateQuestionGrid();
         
@@ -307,37 +1264,215 @@ class QuizEngine {
      * Select answer for current question
      */
     selectAnswer(answerId) {
+        if (this.locked[this.currentQuestion]) return;
+
+        // Answers can still change; attempts are recorded on submit
         this.answers[this.currentQuestion] = answerId;
+
+        const question = this.currentQuiz.questions[this.currentQuestion];
+        if (this.currentQuiz.settings.immediateFeedback && answerId !== null && this.getAnswerFormat(question).id === 'single') {
+            this.lockAnswer();
+            return;
+        }
+
         this.updateQuizUI();
-        
-        // Track answer time
-        const currentTime = Date.now();
-        const timeSpent = currentTime - (this.questionStartTime || this.startTime);
-        
-        // Record answer attempt
-        if (window.ProgressTracker) {
-            const question = this.currentQuiz.questions[this.currentQuestion];
-            const isCorrect = answerId === question.correctAnswer;
-            window.ProgressTracker.recordQuestionAttempt(
-                question.id,
-                question.category,
-                isCorrect,
-                timeSpent,
-                question.difficulty
-            );
+        this.checkpointQuiz();
+    }
+
+    /**
+     * 一問一答: fix the current answer and show whether it was right
+     */
+    lockAnswer() {
+        const index = this.currentQuestion;
+        if (!this.currentQuiz.settings.immediateFeedback || this.answers[index] === null || this.locked[index]) return;
+
+        this.locked[index] = true;
+        this.displayQuestion();
+        this.checkpointQuiz();
+    }
+
+    /**
+     * Reveal the next hint for the current question
+     */
+    showHint() {
+        const question = this.currentQuiz.questions[this.currentQuestion];
+        if (this.hintsUsed[this.currentQuestion] >= this.getQuestionHints(question).length) return;
+
+        this.hintsUsed[this.currentQuestion]++;
+
+        const hintElement = document.getElementById('question-hint');
+        if (hintElement) {
+            hintElement.innerHTML = this.renderHints(question);
+            hintElement.style.display = '';
+        }
+
+        this.updateQuizUI();
+        this.checkpointQuiz();
+    }
+
+    /**
+     * Bookmark or unbookmark the current question
+     */
+    toggleQuestionBookmark() {
+        if (!window.StorageManager) return;
+
+        const question = this.currentQuiz.questions[this.currentQuestion];
+        const bookmarked = window.StorageManager.toggleQuestionBookmark(question.id);
+
+        this.updateQuizUI();
+        this.trackQuizEvent(bookmarked ? 'question_bookmarked' : 'question_unbookmarked', {
+            questionId: question.id
+        });
+    }
+
+    /**
+     * Flag or unflag the current question for 見直し
+     */
+    toggleReviewFlag() {
+        if (this.currentQuiz.adaptive) return;
+
+        this.flagged[this.currentQuestion] = !this.flagged[this.currentQuestion];
+        this.updateQuizUI();
+        this.checkpointQuiz();
+    }
+
+    /**
+     * Indexes still needing attention: flagged for 見直し or unanswered
+     */
+    getPendingQuestionIndexes() {
+        return this.answers
+            .map((answer, index) => answer === null || this.flagged[index] ? index : -1)
+            .filter(index => index >= 0);
+    }
+
+    /**
+     * Jump to the next flagged or unanswered question after the current one, wrapping around
+     */
+    jumpToNextPending() {
+        const pending = this.getPendingQuestionIndexes().filter(index => index !== this.currentQuestion);
+        if (pending.length === 0) return;
+
+        const next = pending.find(index => index > this.currentQuestion);
+        this.jumpToQuestion(next !== undefined ? next : pending[0]);
+    }
+
+    /**
+     * Show flagged and unanswered questions before the answers are submitted
+     */
+    showSubmitSummary() {
+        const container = document.getElementById('question-container');
+        if (!container) {
+            this.submitQuiz();
+            return;
+        }
+
+        this.trackQuestionTime();
+
+        const unanswered = this.answers.map((answer, index) => answer === null ? index : -1).filter(index => index >= 0);
+        const flagged = this.flagged.map((flag, index) => flag ? index : -1).filter(index => index >= 0);
+        const renderButtons = indexes => indexes.map(index => `
+            <button class="question-nav-btn" data-question="${index}">${index + 1}</button>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="quiz-submit-summary" role="region" aria-labelledby="submit-summary-title">
+                <h3 id="submit-summary-title">解答を提出しますか？</h3>
+                <p class="summary-counts">
+                    回答済み ${this.answers.length - unanswered.length} / ${this.answers.length}問
+                    ・未回答 ${unanswered.length}問 ・見直し ${flagged.length}問
+                </p>
+
+                ${unanswered.length > 0 ? `
+                <div class="summary-group">
+                    <h4>未回答の問題</h4>
+                    <div class="summary-questions">${renderButtons(unanswered)}</div>
+                </div>
+                ` : ''}
+
+                ${flagged.length > 0 ? `
+                <div class="summary-group">
+                    <h4>見直しの印がある問題</h4>
+                    <div class="summary-questions">${renderButtons(flagged)}</div>
+                </div>
+                ` : ''}
+
+                <p class="${unanswered.length > 0 ? 'summary-warning' : ''}">
+                    ${unanswered.length > 0 ? '未回答の問題は不正解として採点されます。'
+                        : flagged.length > 0 ? 'すべて回答済みですが、見直しの印が残っています。'
+                        : 'すべての問題に回答済みです。'}
+                </p>
+
+                <div class="summary-actions">
+                    <button class="btn btn-outline quiz-summary-back">問題に戻る</button>
+                    <button class="btn btn-primary quiz-submit">提出する</button>
+                </div>
+            </div>
+        `;
+
+        this.updateQuestionGrid();
+    }
+
+    /**
+     * Move an item of an ordering question up (-1) or down (1)
+     */
+    moveOrderItem(optionId, direction) {
+        const list = document.querySelector('.order-list');
+        const item = list && list.querySelector(`.order-item[data-option="${optionId}"]`);
+        if (!item) return;
+
+        const sibling = direction < 0 ? item.previousElementSibling : item.nextElementSibling;
+        if (!sibling) return;
+
+        if (direction < 0) {
+            list.insertBefore(item, sibling);
+        } else {
+            list.insertBefore(sibling, item);
         }
+        item.focus();
+
+        this.confirmOrder();
+    }
+
+    /**
+     * Record the list's current order as the answer
+     */
+    confirmOrder() {
+        const list = document.querySelector('.order-list');
+        if (!list) return;
+
+        const items = [...list.querySelectorAll('.order-item')];
+        items.forEach((item, index) => {
+            item.querySelector('.order-position').textContent = index + 1;
+        });
+
+        const confirmBtn = document.querySelector('.order-confirm');
+        if (confirmBtn) confirmBtn.remove();
+
+        this.selectAnswer(items.map(item => item.dataset.option));
+    }
+
+    /**
+     * Add the time spent on the current question since it was shown
+     */
+    trackQuestionTime() {
+        const now = Date.now();
+        this.questionTimes[this.currentQuestion] += now - (this.questionStartTime || this.startTime);
+        this.questionStartTime = now;
     }
 
     /**
      * Navigate to next question
      */
     nextQuestion() {
-        if (this.currentQuestion < this.currentQuiz.questions.length - 1) {
+        if (this.currentQuiz.adaptive) {
+            this.advanceAdaptiveQuiz();
+        } else if (this.currentQuestion < this.currentQuiz.questions.length - 1) {
+            this.trackQuestionTime();
             this.currentQuestion++;
             this.displayQuestion();
-            this.questionStartTime = Date.now();
+            this.checkpointQuiz();
         } else {
-            this.submitQuiz();
+            this.showSubmitSummary();
         }
     }
 
@@ -345,10 +1480,11 @@ class QuizEngine {
      * Navigate to previous question
      */
     previousQuestion() {
-        if (this.currentQuestion > 0) {
+        if (this.currentQuestion > 0 && !this.currentQuiz.adaptive) {
+            this.trackQuestionTime();
             this.currentQuestion--;
             this.displayQuestion();
-            this.questionStartTime = Date.now();
+            this.checkpointQuiz();
         }
     }
 
@@ -356,22 +1492,166 @@ class QuizEngine {
      * Jump to specific question
      */
     jumpToQuestion(questionIndex) {
+        if (this.currentQuiz.adaptive) return;
+
         if (questionIndex >= 0 && questionIndex < this.currentQuiz.questions.length) {
+            this.trackQuestionTime();
             this.currentQuestion = questionIndex;
             this.displayQuestion();
-            this.questionStartTime = Date.now();
+            this.checkpointQuiz();
+        }
+    }
+
+    /**
+     * Pick the next adaptive question from the answers so far, or finish
+     */
+    advanceAdaptiveQuiz() {
+        if (this.answers[this.currentQuestion] === null) return;
+
+        const results = this.getAdaptiveResults();
+        const asked = this.currentQuiz.questions.map(q => q.id);
+        const pool = this.getAdaptivePool(this.currentQuiz.filters).filter(q => !asked.includes(q.id));
+        const next = this.shouldStopAdaptive(results) ? null : this.selectAdaptiveQuestion(pool, results);
+
+        if (!next) {
+            this.submitQuiz();
+            return;
         }
+
+        this.trackQuestionTime();
+        this.currentQuiz.questions.push(next);
+        this.currentQuiz.optionOrders.push(this.getOptionOrder(next, this.currentQuiz.questions.length - 1));
+        this.answers.push(null);
+        this.questionTimes.push(0);
+        this.hintsUsed.push(0);
+        this.flagged.push(false);
+        this.locked.push(false);
+        this.confidence.push(null);
+        this.currentQuestion++;
+
+        const grid = document.getElementById('question-grid');
+        if (grid) grid.innerHTML = this.generateQuestionGrid();
+
+        this.displayQuestion();
+        this.checkpointQuiz();
+    }
+
+    /**
+     * Questions eligible for adaptive practice (科目B case studies need their whole unit)
+     */
+    getAdaptivePool(filters) {
+        return this.queryQuestions(filters).filter(q => q.type !== 'scenario');
+    }
+
+    /**
+     * Scored results for the adaptive questions answered so far
+     */
+    getAdaptiveResults() {
+        return this.currentQuiz.questions
+            .map((question, index) => {
+                const answerCredit = this.scoreAnswer(question, this.answers[index]);
+                return {
+                    question: question,
+                    isCorrect: answerCredit === 1,
+                    credit: this.getQuestionCredit(answerCredit, this.hintsUsed[index])
+                };
+            })
+            .filter((result, index) => this.answers[index] !== null);
+    }
+
+    /**
+     * Stop once the ability estimate is precise enough, or at the question limit
+     */
+    shouldStopAdaptive(results) {
+        const settings = this.currentQuiz.settings;
+
+        if (results.length >= settings.adaptiveMaxQuestions) return true;
+        if (results.length < settings.adaptiveMinQuestions) return false;
+
+        const estimate = window.ScoringModels.models.irt.estimateAbility(results);
+        return estimate.standardError <= settings.adaptiveTargetError;
+    }
+
+    /**
+     * Target the weakest (or least-measured) topic, then the most informative item there
+     */
+    selectAdaptiveQuestion(pool, results) {
+        if (pool.length === 0) return null;
+
+        const irt = window.ScoringModels.models.irt;
+        const ability = irt.estimateAbility(results).ability;
+        const categoryAbilities = this.estimateCategoryAbilities(results);
+
+        // Lower bound of each topic's estimate; unmeasured topics start at the prior (0 ± 1)
+        const lowerBound = category => {
+            const estimate = categoryAbilities[category] || { ability: 0, standardError: 1 };
+            return estimate.ability - estimate.standardError;
+        };
+        const categories = this.shuffleArray([...new Set(pool.map(q => q.category))]);
+        const targetCategory = categories.reduce((weakest, category) =>
+            lowerBound(category) < lowerBound(weakest) ? category : weakest
+        );
+
+        // Fisher information of the 2PL item at the current ability; ties are broken randomly
+        const information = question => {
+            const item = irt.getItemParameters(question);
+            const p = irt.probabilityCorrect(ability, item);
+            return item.a * item.a * p * (1 - p);
+        };
+
+        return this.shuffleArray(pool.filter(q => q.category === targetCategory))
+            .reduce((best, question) => information(question) > information(best) ? question : best);
+    }
+
+    /**
+     * Ability estimate for each category answered so far
+     */
+    estimateCategoryAbilities(results) {
+        const irt = window.ScoringModels.models.irt;
+        const byCategory = {};
+
+        results.forEach(result => {
+            const category = result.question.category;
+            (byCategory[category] = byCategory[category] || []).push(result);
+        });
+
+        const abilities = {};
+        Object.entries(byCategory).forEach(([category, categoryResults]) => {
+            const estimate = irt.estimateAbility(categoryResults);
+            abilities[category] = {
+                ability: Math.round(estimate.ability * 100) / 100,
+                standardError: Math.round(estimate.standardError * 100) / 100,
+                score: irt.toScale(estimate.ability),
+                count: categoryResults.length
+            };
+        });
+
+        return abilities;
     }
 
     /**
      * Submit quiz and show results
      */
     submitQuiz() {
+        if (this.currentQuiz.completed) return;
+        this.currentQuiz.completed = true;
+
         // Stop timers
         this.stopTimer();
+        this.trackQuestionTime();
+
+        if (this.currentQuiz.settings.examConditions && document.fullscreenElement) {
+            document.exitFullscreen().catch(() => {});
+        }
+
+        // The session is finished, so there is nothing left to resume
+        if (window.StorageManager) {
+            window.StorageManager.clearQuizSession();
+        }
 
         // Calculate results
         const results = this.calculateResults();
+        this.currentQuiz.results = results;
 
         // Save results
         this.saveQuizResults(results);
@@ -389,6 +1669,171 @@ class QuizEngine {
         });
     }
 
+    /**
+     * Save the in-progress quiz so it can be resumed after a reload or crash
+     */
+    checkpointQuiz() {
+        if (!window.StorageManager || !this.currentQuiz || this.currentQuiz.completed || this.currentQuiz.preview) return;
+
+        this.trackQuestionTime();
+
+        window.StorageManager.saveQuizSession({
+            quiz: {
+                id: this.currentQuiz.id,
+                seed: this.currentQuiz.seed,
+                category: this.currentQuiz.category,
+                filters: this.currentQuiz.filters,
+                type: this.currentQuiz.type,
+                questionIds: this.currentQuiz.questions.map(q => q.id),
+                optionOrders: this.currentQuiz.optionOrders,
+                startTime: this.currentQuiz.startTime,
+                timeLimit: this.currentQuiz.timeLimit,
+                adaptive: this.currentQuiz.adaptive,
+                shared: this.currentQuiz.shared,
+                custom: this.currentQuiz.custom,
+                settings: this.currentQuiz.settings
+            },
+            currentQuestion: this.currentQuestion,
+            answers: this.answers,
+            questionTimes: this.questionTimes,
+            hintsUsed: this.hintsUsed,
+            flagged: this.flagged,
+            locked: this.locked,
+            confidence: this.confidence,
+            integrityEvents: this.integrityEvents,
+            timeRemaining: this.currentQuiz.timeLimit ? this.timeRemaining : null,
+            savedAt: Date.now()
+        });
+        this.lastCheckpointAt = Date.now();
+    }
+
+    /**
+     * Get the saved session, if any
+     */
+    getSavedSession() {
+        if (!window.StorageManager) return null;
+        return window.StorageManager.getQuizSession();
+    }
+
+    /**
+     * Offer to resume or discard an interrupted quiz
+     */
+    offerResume() {
+        const session = this.getSavedSession();
+        const quizContainer = document.getElementById('quiz-container');
+        if (!session || !quizContainer) return;
+
+        const answered = session.answers.filter(answer => answer !== null).length;
+        const awayTime = Date.now() - session.savedAt;
+
+        quizContainer.innerHTML = `
+            <div class="quiz-resume" role="region" aria-labelledby="quiz-resume-title">
+                <h2 id="quiz-resume-title">中断した問題演習があります</h2>
+                <p>
+                    ${this.getQuizTitle(session.quiz)}:
+                    ${answered} / ${session.quiz.questionIds.length}問回答済み
+                    （${new Date(session.savedAt).toLocaleString('ja-JP')}に中断）
+                </p>
+                ${session.timeRemaining !== null ? `
+                <p>残り時間: ${this.formatTime(session.timeRemaining)}</p>
+                <label class="quiz-resume-option">
+                    <input type="checkbox" id="resume-count-away">
+                    中断していた時間（${this.formatTime(awayTime)}）も経過時間に含める
+                </label>
+                ` : ''}
+                <div class="quiz-resume-actions">
+                    <button class="btn btn-primary quiz-resume-continue">続きから再開</button>
+                    <button class="btn btn-outline quiz-resume-discard">破棄する</button>
+                </div>
+            </div>
+        `;
+        quizContainer.style.display = 'block';
+    }
+
+    /**
+     * Restore the saved session and continue where it stopped
+     */
+    resumeQuiz(countTimeAway = false) {
+        const session = this.getSavedSession();
+        if (!session) return;
+
+        if (session.quiz.settings && session.quiz.settings.examConditions) {
+            this.requestExamFullscreen();
+        }
+
+        const questions = session.quiz.questionIds.map(id => this.questionDatabase.find(q => q.id === id));
+        if (questions.some(question => !question)) {
+            // The question packs changed since the session was saved
+            window.StorageManager.clearQuizSession();
+            this.showEmptyQuiz(session.quiz.category, 'resume');
+            return;
+        }
+
+        // Without counting time away, shift the start so elapsed time excludes the gap
+        const awayTime = Math.max(0, Date.now() - session.savedAt);
+        const { questionIds, ...quiz } = session.quiz;
+
+        this.currentQuiz = {
+            ...quiz,
+            filters: quiz.filters || { category: quiz.category },
+            questions: questions,
+            optionOrders: quiz.optionOrders || [],
+            startTime: countTimeAway ? quiz.startTime : quiz.startTime + awayTime
+        };
+        this.random = createRandom(quiz.seed);
+        this.currentQuestion = session.currentQuestion;
+        this.answers = session.answers;
+        this.questionTimes = session.questionTimes;
+        this.hintsUsed = session.hintsUsed || new Array(questions.length).fill(0);
+        this.flagged = session.flagged || new Array(questions.length).fill(false);
+        this.locked = session.locked || new Array(questions.length).fill(false);
+        this.confidence = session.confidence || new Array(questions.length).fill(null);
+        this.integrityEvents = session.integrityEvents || [];
+        // Closing or reloading the page counts as leaving until now
+        this.integrityEvents.filter(event => !event.returnedAt).forEach(event => {
+            event.returnedAt = Date.now();
+        });
+        this.startTime = this.currentQuiz.startTime;
+        this.questionStartTime = Date.now();
+
+        this.setupQuizUI();
+        this.displayQuestion();
+
+        if (this.currentQuiz.timeLimit) {
+            const timeRemaining = session.timeRemaining - (countTimeAway ? awayTime : 0);
+            if (timeRemaining <= 0) {
+                this.timeRemaining = 0;
+                this.submitQuiz();
+                return;
+            }
+            this.startTimer(timeRemaining);
+        }
+
+        this.checkpointQuiz();
+
+        this.trackQuizEvent('quiz_resumed', {
+            category: this.currentQuiz.category,
+            type: this.currentQuiz.type,
+            countTimeAway: countTimeAway,
+            awayTime: awayTime
+        });
+    }
+
+    /**
+     * Throw away the saved session
+     */
+    discardSavedQuiz() {
+        if (window.StorageManager) {
+            window.StorageManager.clearQuizSession();
+        }
+
+        const quizContainer = document.getElementById('quiz-container');
+        if (quizContainer) {
+            quizContainer.innerHTML = '';
+            quizContainer.style.display = 'none';
+        }
+    }
+
     /**
      * Calculate quiz results
      */
@@ -397,25 +1842,38 @@ class QuizEngine {
         const answers = this.answers;
         
         let correct = 0;
+        let hintsUsed = 0;
         let categoryScores = {};
+        let subjectScores = {};
         const questionResults = [];
 
-        // Initialize category scores
+        // Initialize category and subject scores
         questions.forEach(q => {
             if (!categoryScores[q.category]) {
                 categoryScores[q.category] = { correct: 0, total: 0 };
             }
             categoryScores[q.category].total++;
+
+            const subject = this.getQuestionSubject(q);
+            if (!subjectScores[subject]) {
+                subjectScores[subject] = { correct: 0, total: 0 };
+            }
+            subjectScores[subject].total++;
         });
 
         // Calculate scores
         questions.forEach((question, index) => {
             const userAnswer = answers[index];
-            const isCorrect = userAnswer === question.correctAnswer;
+            const answerCredit = this.scoreAnswer(question, userAnswer);
+            const isCorrect = answerCredit === 1;
+            const questionHints = this.hintsUsed[index];
+
+            hintsUsed += questionHints;
             
             if (isCorrect) {
                 correct++;
                 categoryScores[question.category].correct++;
+                subjectScores[this.getQuestionSubject(question)].correct++;
             }
 
             questionResults.push({
@@ -423,13 +1881,17 @@ class QuizEngine {
                 question: question,
                 userAnswer: userAnswer,
                 correctAnswer: question.correctAnswer,
-                isCorrect: isCorrect
+                isCorrect: isCorrect,
+                credit: this.getQuestionCredit(answerCredit, questionHints),
+                hintsUsed: questionHints,
+                confidence: userAnswer !== null ? this.confidence[index] : null,
+                timeSpent: this.questionTimes[index]
             });
         });
 
-        // Calculate final score (standard formula: correct/total * 1000)
+        // Calculate final score on the 1000-point scale with the configured model
         const percentage = (correct / questions.length) * 100;
-        const score = Math.round(percentage * 10); // Convert to 1000-point scale
+        const scoring = this.scoreResults(questionResults, percentage);
 
         const endTime = Date.now();
         const timeSpent = endTime - this.currentQuiz.startTime;
@@ -439,11 +1901,63 @@ class QuizEngine {
             correctAnswers: correct,
             incorrectAnswers: questions.length - correct,
             percentage: Math.round(percentage),
-            score: score,
+            score: scoring.score,
+            scoreBand: scoring.band,
+            scoringModel: scoring.model,
+            ability: scoring.ability,
+            hintsUsed: hintsUsed,
+            hintPenalty: this.getHintPenalty(),
             timeSpent: timeSpent,
+            completedAt: Date.now(),
             categoryScores: categoryScores,
+            subjectScores: this.hasSubjects() ? subjectScores : null,
+            categoryAbilities: this.currentQuiz.adaptive ? this.estimateCategoryAbilities(questionResults) : null,
+            examConditions: !!this.currentQuiz.settings.examConditions,
+            integrityEvents: this.currentQuiz.settings.examConditions ? this.integrityEvents : [],
+            calibration: this.calculateCalibration(questionResults),
             questionResults: questionResults,
-            passed: score >= 600
+            passed: scoring.score >= 600
+        };
+    }
+
+    /**
+     * Share of credit lost per hint; mock and past exams are never penalised
+     */
+    getHintPenalty() {
+        if (this.isExamType(this.currentQuiz.type)) return 0;
+        return Math.min(1, Math.max(0, this.currentQuiz.settings.hintPenalty || 0));
+    }
+
+    /**
+     * Credit (0-1) for an answer in the question's format, before hint penalties
+     */
+    scoreAnswer(question, answer) {
+        if (answer === null) return 0;
+        return this.getAnswerFormat(question).score(question, answer);
+    }
+
+    /**
+     * Credit for one answer after any hint penalty
+     */
+    getQuestionCredit(answerCredit, hintsUsed) {
+        return answerCredit * Math.max(0, 1 - hintsUsed * this.getHintPenalty());
+    }
+
+    /**
+     * Score question results with the configured scoring model
+     */
+    scoreResults(questionResults, percentage) {
+        if (!window.ScoringModels) {
+            return { score: Math.round(percentage * 10), band: null, model: null };
+        }
+
+        // Adaptive practice only makes sense on the ability scale
+        const model = window.ScoringModels.get(this.currentQuiz.adaptive ? 'irt' : this.currentQuiz.settings.scoringModel);
+        const result = model.score(questionResults);
+
+        return {
+            ...result,
+            model: { id: model.id, name: model.name }
         };
     }
 
@@ -466,56 +1980,293 @@ class QuizEngine {
                     <div class="results-status ${passedClass}">${passedText}</div>
                 </div>
 
-                <div class="results-summary">
-                    <div class="result-card main-score">
-                        <div class="score-display">
-                            <div class="score-number">${results.score}</div>
-                            <div class="score-label">点</div>
-                        </div>
-                        <div class="score-details">
-                            <div class="percentage">${results.percentage}%正解</div>
-                            <div class="fraction">${results.correctAnswers} / ${results.totalQuestions}問正解</div>
-                        </div>
+                <div class="results-summary">
+                    <div class="result-card main-score">
+                        <div class="score-display">
+                            <div class="score-number">${results.score}</div>
+                            <div class="score-label">点</div>
+                        </div>
+                        <div class="score-details">
+                            <div class="percentage">${results.percentage}%正解</div>
+                            <div class="fraction">${results.correctAnswers} / ${results.totalQuestions}問正解</div>
+                            ${results.scoreBand ? `
+                            <div class="score-band">推定範囲: ${results.scoreBand.low}〜${results.scoreBand.high}点（95%）</div>
+                            ` : ''}
+                            ${results.scoringModel ? `
+                            <div class="score-model">採点方式: ${results.scoringModel.name}</div>
+                            ` : ''}
+                            ${results.hintsUsed > 0 ? `
+                            <div class="score-hints">ヒント使用: ${results.hintsUsed}回${results.hintPenalty > 0 ? `（1回につき正解の${Math.round(results.hintPenalty * 100)}%を減点）` : ''}</div>
+                            ` : ''}
+                        </div>
+                    </div>
+
+                    <div class="result-card time-info">
+                        <div class="result-label">所要時間</div>
+                        <div class="result-value">${this.formatTime(results.timeSpent)}</div>
+                    </div>
+
+                    <div class="result-card accuracy-info">
+                        <div class="result-label">正答率</div>
+                        <div class="result-value">${results.percentage}%</div>
+                    </div>
+                </div>
+
+                ${results.examConditions ? this.generateIntegrityReport(results.integrityEvents) : ''}
+
+                ${this.currentQuiz.type === 'past' ? this.generatePastExamHistory(results) : ''}
+
+                ${results.calibration.rated > 0 ? this.generateCalibrationReport(results.calibration) : ''}
+
+                ${results.categoryAbilities ? this.generateAbilityBreakdown(results.categoryAbilities) : ''}
+
+                ${results.subjectScores ? `
+                <div class="category-breakdown subject-breakdown">
+                    <h3>科目別成績</h3>
+                    <div class="category-results">
+                        ${Object.entries(results.subjectScores).map(([subject, scores]) => `
+                            <div class="category-result">
+                                <div class="category-name">${this.getSubjectName(subject)}</div>
+                                <div class="category-score">
+                                    ${scores.correct} / ${scores.total}問
+                                    (${Math.round((scores.correct / scores.total) * 100)}%)
+                                </div>
+                                <div class="category-progress">
+                                    <div class="progress-bar">
+                                        <div class="progress-fill" style="width: ${(scores.correct / scores.total) * 100}%"></div>
+                                    </div>
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+                ` : ''}
+
+                <div class="category-breakdown">
+                    <h3>分野別成績</h3>
+                    <div class="category-results">
+                        ${Object.entries(results.categoryScores).map(([category, scores]) => `
+                            <div class="category-result">
+                                <div class="category-name">${this.getCategoryName(category)}</div>
+                                <div class="category-score">
+                                    ${scores.correct} / ${scores.total}問
+                                    (${Math.round((scores.correct / scores.total) * 100)}%)
+                                </div>
+                                <div class="category-progress">
+                                    <div class="progress-bar">
+                                        <div class="progress-fill" style="width: ${(scores.correct / scores.total) * 100}%"></div>
+                                    </div>
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+
+                <div class="results-actions">
+                    <button class="btn btn-primary quiz-review">解答解説を見る</button>
+                    <button class="btn btn-outline quiz-restart">もう一度挑戦</button>
+                    <button class="btn btn-outline quiz-share-set">問題セットを共有</button>
+                    ${window.ResultCard ? '<button class="btn btn-outline quiz-result-card">結果カードを作成</button>' : ''}
+                    <button class="btn btn-outline" onclick="location.href='${this.getReturnUrl()}'">戻る</button>
+                </div>
+                <p class="quiz-share-status" id="quiz-share-status" role="status"></p>
+                <div class="result-card-panel" id="result-card-panel"></div>
+
+                ${this.currentQuiz.type === 'mistakes' ? this.generateMistakeProgress(results) : ''}
+
+                ${this.generateRecommendations(results)}
+            </div>
+        `;
+    }
+
+    /**
+     * List each time the user left the tab or fullscreen during an exam-conditions quiz
+     */
+    generateIntegrityReport(events) {
+        const labels = {
+            'tab-hidden': '別のタブ・アプリに切り替え',
+            'fullscreen-exit': '全画面表示を終了'
+        };
+
+        return `
+            <div class="integrity-report ${events.length > 0 ? 'has-events' : ''}">
+                <h3>🔒 本番モードの記録</h3>
+                ${events.length === 0 ? '<p>試験中に画面を離れることはありませんでした。</p>' : `
+                <p>試験中に${events.length}回、試験画面を離れました。</p>
+                <ul class="integrity-events">
+                    ${events.map(event => `
+                        <li>
+                            開始${this.formatTime(Math.max(0, event.offset !== undefined ? event.offset : event.at - this.currentQuiz.startTime))}後: ${labels[event.type] || event.type}
+                            ${event.returnedAt ? `（${this.formatTime(event.returnedAt - event.at)}）` : '（戻らず）'}
+                        </li>
+                    `).join('')}
+                </ul>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Accuracy per confidence level, confident mistakes and lucky guesses
+     */
+    calculateCalibration(questionResults) {
+        const levels = {};
+        Object.keys(CONFIDENCE_LEVELS).forEach(level => {
+            levels[level] = { answered: 0, correct: 0 };
+        });
+
+        const rated = questionResults.filter(result => result.confidence);
+        rated.forEach(result => {
+            levels[result.confidence].answered++;
+            if (result.isCorrect) levels[result.confidence].correct++;
+        });
+
+        return {
+            rated: rated.length,
+            levels: levels,
+            confidentMistakes: rated.filter(result => result.confidence === 'sure' && !result.isCorrect).map(result => result.questionIndex),
+            luckyGuesses: rated.filter(result => result.confidence === 'guess' && result.isCorrect).map(result => result.questionIndex)
+        };
+    }
+
+    /**
+     * This try against earlier tries of the same past exam set; the current result is already saved
+     */
+    generatePastExamHistory(results) {
+        if (!window.StorageManager) return '';
+
+        const setId = [].concat(this.currentQuiz.filters.pastExam)[0];
+        const history = window.StorageManager.getPastExamResults(setId);
+        const previousTries = history.slice(0, -1);
+        if (previousTries.length === 0) {
+            return `
+                <div class="past-exam-history">
+                    <h3>${setId} の成績</h3>
+                    <p>このセットは今回が1回目です。次回以降はここで前回までの結果と比べられます。</p>
+                </div>
+            `;
+        }
+
+        const previous = previousTries[previousTries.length - 1];
+        const best = previousTries.reduce((max, attempt) => attempt.score > max.score ? attempt : max);
+        const diff = results.score - previous.score;
+        const diffClass = diff > 0 ? 'up' : diff < 0 ? 'down' : '';
+
+        return `
+            <div class="past-exam-history">
+                <h3>${setId} の成績（${history.length}回目）</h3>
+                <div class="past-exam-comparison">
+                    <div class="comparison-item">
+                        <div class="result-label">前回</div>
+                        <div class="result-value">${previous.score}点</div>
+                        <div class="comparison-diff ${diffClass}">${diff > 0 ? '+' : ''}${diff}点</div>
                     </div>
-
-                    <div class="result-card time-info">
-                        <div class="result-label">所要時間</div>
-                        <div class="result-value">${this.formatTime(results.timeSpent)}</div>
+                    <div class="comparison-item">
+                        <div class="result-label">これまでの最高</div>
+                        <div class="result-value">${best.score}点</div>
+                        <div class="comparison-diff">${new Date(best.completedAt).toLocaleDateString('ja-JP')}</div>
                     </div>
+                </div>
+                <ol class="past-exam-attempts">
+                    ${history.map((attempt, index) => `
+                        <li class="${index === history.length - 1 ? 'current' : ''}">
+                            <span class="attempt-date">${new Date(attempt.completedAt).toLocaleDateString('ja-JP')}</span>
+                            <span class="attempt-score">${attempt.score}点</span>
+                            <span class="attempt-fraction">${attempt.correctAnswers} / ${attempt.totalQuestions}問</span>
+                        </li>
+                    `).join('')}
+                </ol>
+            </div>
+        `;
+    }
 
-                    <div class="result-card accuracy-info">
-                        <div class="result-label">正答率</div>
-                        <div class="result-value">${results.percentage}%</div>
-                    </div>
+    /**
+     * How well confidence matched the outcome, with the topics answered right only by guessing
+     */
+    generateCalibrationReport(calibration) {
+        const questions = this.currentQuiz.questions;
+        const sure = calibration.levels.sure;
+        const guessTopics = {};
+        calibration.luckyGuesses.forEach(index => {
+            const topic = this.getQuestionTopic(questions[index]);
+            guessTopics[topic] = (guessTopics[topic] || 0) + 1;
+        });
+
+        return `
+            <div class="calibration-report">
+                <h3>自信度と正誤</h3>
+                <div class="calibration-levels">
+                    ${Object.entries(calibration.levels).filter(([, stats]) => stats.answered > 0).map(([level, stats]) => `
+                        <div class="calibration-level ${level}">
+                            <div class="calibration-name">${CONFIDENCE_LEVELS[level].icon} ${CONFIDENCE_LEVELS[level].name}</div>
+                            <div class="calibration-value">${Math.round((stats.correct / stats.answered) * 100)}%</div>
+                            <div class="calibration-detail">${stats.correct} / ${stats.answered}問正解</div>
+                        </div>
+                    `).join('')}
                 </div>
+                ${sure.answered > 0 ? `
+                <p class="calibration-note ${calibration.confidentMistakes.length > 0 ? 'warning' : ''}">
+                    「自信あり」の解答のうち${calibration.confidentMistakes.length}問（${Math.round((calibration.confidentMistakes.length / sure.answered) * 100)}%）が不正解でした。
+                    ${calibration.confidentMistakes.length > 0 ? `問題 ${calibration.confidentMistakes.map(index => index + 1).join('、')} は思い込みがないか解説を確認しましょう。` : ''}
+                </p>
+                ` : ''}
+                ${calibration.luckyGuesses.length > 0 ? `
+                <div class="calibration-guesses">
+                    <p>「勘」で正解した問題は、間違えた問題と同じく復習予定に入れました。</p>
+                    <ul>
+                        ${Object.entries(guessTopics).map(([topic, count]) => `<li>${topic}（${count}問）</li>`).join('')}
+                    </ul>
+                </div>
+                ` : ''}
+            </div>
+        `;
+    }
 
-                <div class="category-breakdown">
-                    <h3>分野別成績</h3>
-                    <div class="category-results">
-                        ${Object.entries(results.categoryScores).map(([category, scores]) => `
-                            <div class="category-result">
-                                <div class="category-name">${this.getCategoryName(category)}</div>
-                                <div class="category-score">
-                                    ${scores.correct} / ${scores.total}問
-                                    (${Math.round((scores.correct / scores.total) * 100)}%)
-                                </div>
-                                <div class="category-progress">
-                                    <div class="progress-bar">
-                                        <div class="progress-fill" style="width: ${(scores.correct / scores.total) * 100}%"></div>
-                                    </div>
+    /**
+     * Final ability estimate for each category of an adaptive session
+     */
+    generateAbilityBreakdown(categoryAbilities) {
+        return `
+            <div class="category-breakdown ability-breakdown">
+                <h3>分野別の推定能力</h3>
+                <div class="category-results">
+                    ${Object.entries(categoryAbilities).map(([category, estimate]) => `
+                        <div class="category-result">
+                            <div class="category-name">${this.getCategoryName(category)}</div>
+                            <div class="category-score">
+                                ${estimate.score}点相当
+                                <span class="ability-detail">(θ = ${estimate.ability.toFixed(2)} ± ${estimate.standardError.toFixed(2)}, ${estimate.count}問)</span>
+                            </div>
+                            <div class="category-progress">
+                                <div class="progress-bar">
+                                    <div class="progress-fill" style="width: ${estimate.score / 10}%"></div>
                                 </div>
                             </div>
-                        `).join('')}
-                    </div>
+                        </div>
+                    `).join('')}
                 </div>
+            </div>
+        `;
+    }
 
-                <div class="results-actions">
-                    <button class="btn btn-primary quiz-review">解答解説を見る</button>
-                    <button class="btn btn-outline quiz-restart">もう一度挑戦</button>
-                    <button class="btn btn-outline" onclick="location.href='${this.getReturnUrl()}'">戻る</button>
-                </div>
+    /**
+     * Summarise which missed questions were cleared in a replay session
+     */
+    generateMistakeProgress(results) {
+        if (!window.StorageManager) return '';
 
-                ${this.generateRecommendations(results)}
+        const streak = this.settings.mistakeMasteryStreak;
+        const remainingIds = this.selectMistakeQuestions(this.questionDatabase).map(q => q.id);
+        const cleared = results.questionResults.filter(result => !remainingIds.includes(result.question.id));
+
+        return `
+            <div class="mistake-progress">
+                <h3>間違えた問題の克服状況</h3>
+                <p>${streak}回連続で正解した問題はリストから外れます。</p>
+                <div class="mistake-progress-counts">
+                    <span>今回克服: <strong>${cleared.length}問</strong></span>
+                    <span>残り: <strong>${remainingIds.length}問</strong></span>
+                </div>
             </div>
         `;
     }
@@ -555,50 +2306,66 @@ class QuizEngine {
      */
     generateQuestionReview(result, index) {
         const question = result.question;
-        const userOption = question.options.find(opt => opt.id === result.userAnswer);
-        const correctOption = question.options.find(opt => opt.id === result.correctAnswer);
+        const format = this.getAnswerFormat(question);
+        const partial = !result.isCorrect && result.credit > 0;
         
-        const statusClass = result.isCorrect ? 'correct' : 'incorrect';
-        const statusIcon = result.isCorrect ? '✅' : '❌';
+        const statusClass = result.isCorrect ? 'correct' : partial ? 'partial' : 'incorrect';
+        const statusIcon = result.isCorrect ? '✅' : partial ? '🔺' : '❌';
 
         return `
             <div class="question-review ${statusClass}">
                 <div class="review-question-header">
                     <span class="question-number">問題 ${index + 1}</span>
                     <span class="question-status">${statusIcon}</span>
+                    ${partial ? `<span class="question-credit">部分点 ${Math.round(result.credit * 100)}%</span>` : ''}
+                    ${this.hasSubjects() ? `<span class="question-subject">${this.getSubjectName(this.getQuestionSubject(question))}</span>` : ''}
                     <span class="question-category">${this.getCategoryName(question.category)}</span>
+                    ${question.pastExam ? `<span class="question-source">${this.getPastExamLabel(question)}</span>` : ''}
+                    ${result.hintsUsed > 0 ? `<span class="question-hints-used">💡 ヒント ${result.hintsUsed} / ${this.getQuestionHints(question).length}</span>` : ''}
                 </div>
 
+                ${question.type === 'scenario' ? `
+                    <details class="review-scenario">
+                        <summary>事例: ${this.renderContent(question.scenario.title, true)}</summary>
+                        <div class="scenario-body rich-text">${this.renderContent(question.scenario.passage)}</div>
+                    </details>
+                ` : ''}
+
                 <div class="review-question-text">
-                    <h4>${question.question}</h4>
-                    ${question.image ? `<img src="${question.image}" alt="問題図" class="question-image">` : ''}
+                    <div class="question-stem rich-text">${this.renderContent(question.question)}</div>
+                    ${this.renderImage(question.image)}
                 </div>
 
-                <div class="review-answers">
+                ${format.renderReview ? format.renderReview(question, result.userAnswer, this.currentQuiz.optionOrders[result.questionIndex]) : ''}
+
+                <div class="review-answers rich-text">
                     <div class="answer-comparison">
                         <div class="user-answer">
                             <strong>あなたの回答:</strong>
-                            ${userOption ? userOption.text : '未回答'}
+                            ${result.userAnswer !== null ? format.describe(question, result.userAnswer) : '未回答'}
                         </div>
                         <div class="correct-answer">
                             <strong>正解:</strong>
-                            ${correctOption.text}
+                            ${format.describeCorrect(question)}
                         </div>
                     </div>
                 </div>
 
-                ${question.explanation ? `
+                ${!result.isCorrect ? this.renderRepeatedMistake(question, result.userAnswer) : ''}
+
+                ${question.explanation && this.currentQuiz.settings.showExplanation ? `
                     <div class="explanation">
                         <h5>解説</h5>
-                        <p>${question.explanation}</p>
+                        <div class="explanation-body rich-text">${this.renderContent(question.explanation)}</div>
                     </div>
                 ` : ''}
 
                 ${question.reference ? `
                     <div class="reference">
-                        <strong>参考:</strong> ${question.reference}
+                        <strong>参考:</strong> ${this.renderContent(question.reference, true)}
                     </div>
                 ` : ''}
+                ${this.renderStudyLinks(question)}
             </div>
         `;
     }
@@ -662,7 +2429,7 @@ class QuizEngine {
                                 <h4>${rec.title}</h4>
                                 <p>${rec.description}</p>
                             </div>
-                            <a href="${rec.url}" class="btn btn-outline">${rec.action}</a>
+                            <a href="${this.getSiteUrl(rec.url)}" class="btn btn-outline">${rec.action}</a>
                         </div>
                     `).join('')}
                 </div>
@@ -678,26 +2445,60 @@ class QuizEngine {
 
         if (this.currentQuiz.type === 'mock') {
             window.StorageManager.saveMockExamResult(results);
+        } else if (this.currentQuiz.type === 'past') {
+            window.StorageManager.savePastExamResult([].concat(this.currentQuiz.filters.pastExam)[0], results);
         }
 
-        // Save individual question stats
+        // Save per-question attempt history
+        window.StorageManager.recordQuestionAttempts(results.questionResults.map(result => ({
+            questionId: result.question.id,
+            category: result.question.category,
+            answer: result.userAnswer,
+            isCorrect: result.isCorrect,
+            credit: result.credit,
+            timeSpent: result.timeSpent,
+            hintsUsed: result.hintsUsed,
+            confidence: result.confidence,
+            quizType: this.currentQuiz.type,
+            quizId: this.currentQuiz.id
+        })));
+
+        const reviews = [];
         results.questionResults.forEach(result => {
-            window.StorageManager.recordQuestionResult(
-                result.question.category,
-                result.isCorrect,
-                2000 // Estimated time per question
-            );
+            // Update category mastery
+            if (window.ProgressTracker && window.ProgressTracker.updateCategoryProgressFromQuestion) {
+                window.ProgressTracker.updateCategoryProgressFromQuestion(
+                    result.question.category,
+                    result.isCorrect,
+                    result.question.difficulty
+                );
+            }
+
+            // Schedule the next spaced-repetition review for answered questions;
+            // a correct answer that needed hints or was unsure counts as a hard recall,
+            // and a lucky guess is reviewed as if it had been wrong
+            if (result.userAnswer !== null) {
+                let quality = 4;
+                if (!result.isCorrect || result.confidence === 'guess') {
+                    quality = 1;
+                } else if (result.hintsUsed > 0 || result.confidence === 'unsure') {
+                    quality = 3;
+                }
+                reviews.push({ itemKey: `question:${result.question.id}`, quality });
+            }
         });
+        window.StorageManager.recordReviews(reviews);
     }
 
     /**
      * Start quiz timer
      */
-    startTimer() {
+    startTimer(timeRemaining = this.currentQuiz.timeLimit) {
         if (!this.currentQuiz.timeLimit) return;
 
-        this.timeRemaining = this.currentQuiz.timeLimit;
+        this.timeRemaining = timeRemaining;
         this.isTimerActive = true;
+        this.updateTimerDisplay();
 
         this.quizTimer = setInterval(() => {
             this.timeRemaining -= 1000;
@@ -705,6 +2506,8 @@ class QuizEngine {
 
             if (this.timeRemaining <= 0) {
                 this.submitQuiz();
+            } else if (Date.now() - this.lastCheckpointAt >= QUIZ_TIMER_CHECKPOINT_INTERVAL) {
+                this.checkpointQuiz();
             }
         }, 1000);
     }
@@ -745,6 +2548,32 @@ class QuizEngine {
      * Handle keyboard shortcuts
      */
     handleKeyboardShortcuts(e) {
+        // Typing into answer fields and native selects keeps its own keys
+        if (e.target.matches && e.target.matches('.numeric-answer, .match-select')) {
+            if (e.key === 'Enter' && e.target.matches('.numeric-answer')) {
+                e.preventDefault();
+                if (this.currentQuiz.settings.immediateFeedback && !this.locked[this.currentQuestion]) {
+                    this.lockAnswer();
+                } else {
+                    this.nextQuestion();
+                }
+            }
+            return;
+        }
+
+        // Ordering: ↑↓ move between items, Alt + ↑↓ moves the focused item
+        if (e.target.matches && e.target.matches('.order-item') && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+            e.preventDefault();
+            const direction = e.key === 'ArrowUp' ? -1 : 1;
+            if (e.altKey) {
+                this.moveOrderItem(e.target.dataset.option, direction);
+            } else {
+                const sibling = direction < 0 ? e.target.previousElementSibling : e.target.nextElementSibling;
+                if (sibling) sibling.focus();
+            }
+            return;
+        }
+
         switch(e.key) {
             case 'ArrowLeft':
                 e.preventDefault();
@@ -754,16 +2583,29 @@ class QuizEngine {
                 e.preventDefault();
                 this.nextQuestion();
                 break;
+            case 'f':
+            case 'F':
+                // Leave browser shortcuts such as Ctrl+F alone
+                if (e.ctrlKey || e.metaKey || e.altKey) break;
+                e.preventDefault();
+                this.toggleReviewFlag();
+                break;
             case '1':
             case '2':
             case '3':
             case '4':
                 e.preventDefault();
+                // A locked 一問一答 answer is final; don't move the radio off the scored choice
+                if (this.locked[this.currentQuestion]) break;
                 const optionIndex = parseInt(e.key) - 1;
                 const options = document.querySelectorAll('input[name="answer"]');
+                const checkboxes = document.querySelectorAll('input[name="answer-multiple"]');
                 if (options[optionIndex]) {
                     options[optionIndex].checked = true;
                     this.selectAnswer(options[optionIndex].value);
+                } else if (checkboxes[optionIndex]) {
+                    // Toggles the box and fires its change event
+                    checkboxes[optionIndex].click();
                 }
                 break;
         }
@@ -773,14 +2615,80 @@ class QuizEngine {
      * Utility methods
      */
 
-    getQuestionsByCategory(category, type) {
-        let questions = this.questionDatabase.filter(q => 
-            category === 'all' || q.category === category
+    /**
+     * Find questions matching every given filter; list filters match any of their values
+     * { category, syllabus, tags, difficulty, flags, subject }
+     */
+    queryQuestions(filters = {}) {
+        const toList = value => value === undefined || value === null || value === '' ? [] : [].concat(value);
+        const categories = toList(filters.category).filter(category => category !== 'all');
+        const syllabus = toList(filters.syllabus);
+        const tags = toList(filters.tags);
+        const difficulties = toList(filters.difficulty);
+        const flags = toList(filters.flags);
+        const subjects = toList(filters.subject);
+        const pastExams = toList(filters.pastExam);
+        const studyAnchors = toList(filters.study);
+
+        return this.questionDatabase.filter(q =>
+            (categories.length === 0 || categories.includes(q.category)) &&
+            (difficulties.length === 0 || difficulties.includes(q.difficulty)) &&
+            (subjects.length === 0 || subjects.includes(this.getQuestionSubject(q))) &&
+            // A syllabus code also matches its sub-items, e.g. "2" matches "2-1"
+            (syllabus.length === 0 || (q.syllabus || []).some(code =>
+                syllabus.some(item => code === item || code.startsWith(`${item}-`))
+            )) &&
+            (tags.length === 0 || tags.some(tag => (q.tags || []).includes(tag))) &&
+            (flags.length === 0 || flags.some(flag => (q.flags || []).includes(flag))) &&
+            (pastExams.length === 0 || (q.pastExam && pastExams.includes(this.getPastExamId(q)))) &&
+            (studyAnchors.length === 0 || studyAnchors.some(anchor => (q.study || []).includes(anchor)))
         );
+    }
+
+    /**
+     * Build filters from a button's data attributes or URL parameters (comma-separated lists)
+     */
+    createFilters(source) {
+        const filters = { category: source.category || 'all' };
+
+        ['syllabus', 'tags', 'difficulty', 'flags', 'subject', 'pastExam', 'study'].forEach(key => {
+            if (source[key]) {
+                filters[key] = String(source[key]).split(',').map(value => value.trim()).filter(Boolean);
+            }
+        });
+
+        return filters;
+    }
+
+    /**
+     * Pick the questions for a quiz type from those matching the filters
+     */
+    selectQuizQuestions(filters, type) {
+        let questions = this.queryQuestions(filters);
 
         if (type === 'mock') {
             // For mock exams, select 60 questions with balanced distribution
             questions = this.selectMockExamQuestions(questions);
+        } else if (type === 'past') {
+            // A past exam set in its published order: 科目A, then 科目B, by question number
+            questions = questions.filter(q => q.pastExam).sort((a, b) =>
+                this.getQuestionSubject(a).localeCompare(this.getQuestionSubject(b)) || a.pastExam.number - b.pastExam.number
+            );
+        } else if (type === 'review') {
+            // Only the questions whose spaced-repetition review is due
+            questions = this.selectDueReviewQuestions(questions);
+        } else if (type === 'mistakes') {
+            // Missed questions not yet answered correctly enough times in a row
+            questions = this.selectMistakeQuestions(questions).slice(0, 20);
+        } else if (type === 'adaptive') {
+            // Adaptive practice starts from one question and picks the rest as answers come in
+            const first = window.ScoringModels
+                ? this.selectAdaptiveQuestion(this.shuffleArray(this.getAdaptivePool(filters)), [])
+                : null;
+            questions = first ? [first] : [];
+        } else if (type === 'bookmarks') {
+            // Questions bookmarked during earlier quizzes
+            questions = this.selectBookmarkedQuestions(questions);
         } else {
             // For practice, limit to 10-20 questions
             questions = questions.slice(0, 20);
@@ -789,41 +2697,240 @@ class QuizEngine {
         return questions;
     }
 
+    /**
+     * Filters for the categories and tags picked in the custom quiz builder
+     */
+    getCustomFilters(config) {
+        const filters = { category: config.categories && config.categories.length > 0 ? config.categories : 'all' };
+        if (config.tags && config.tags.length > 0) {
+            filters.tags = config.tags;
+        }
+        return filters;
+    }
+
+    /**
+     * Draw the builder's question count, split across difficulties by the weights in `difficultyMix`
+     */
+    selectCustomQuestions(config) {
+        const count = config.questionCount || 20;
+        const mix = config.difficultyMix || {};
+        const weightOf = difficulty => mix[difficulty] !== undefined ? mix[difficulty] : 1;
+
+        // Scenario sub-questions are drawn as one unit, filed under the scenario's first question
+        const pools = {};
+        this.getQuestionUnits(this.queryQuestions(this.getCustomFilters(config)), true).forEach(unit => {
+            const difficulty = unit[0].difficulty;
+            if (weightOf(difficulty) > 0) {
+                (pools[difficulty] = pools[difficulty] || []).push(unit);
+            }
+        });
+
+        const difficulties = Object.keys(pools);
+        const totalWeight = difficulties.reduce((sum, difficulty) => sum + weightOf(difficulty), 0);
+        const selected = [];
+        const size = () => selected.reduce((sum, unit) => sum + unit.length, 0);
+
+        // Move units that still fit from the pool into the selection; returns what is left
+        const take = (pool, limit) => {
+            let taken = 0;
+            return pool.filter(unit => {
+                if (taken >= limit || size() + unit.length > count) return true;
+                taken += unit.length;
+                selected.push(unit);
+                return false;
+            });
+        };
+
+        difficulties.forEach(difficulty => {
+            pools[difficulty] = take(pools[difficulty], Math.round(count * weightOf(difficulty) / totalWeight));
+        });
+
+        // Top up from any difficulty when a pool ran short
+        take(this.shuffleArray(difficulties.flatMap(difficulty => pools[difficulty])), count);
+
+        return selected.flat();
+    }
+
     selectMockExamQuestions(allQuestions) {
+        // 科目A: knowledge questions spread evenly across the four categories
         const categories = ['basics', 'management', 'technology', 'laws'];
-        const questionsPerCategory = 15; // 60 questions / 4 categories
-        const selected = [];
+        const subjectA = allQuestions.filter(q => this.getQuestionSubject(q) === 'A');
+        const pools = categories.map(category =>
+            this.shuffleArray(subjectA.filter(q => q.category === category))
+        );
+        const selectedA = [];
+
+        while (selectedA.length < EXAM_SUBJECTS.A.questionCount && pools.some(pool => pool.length > 0)) {
+            pools.forEach(pool => {
+                if (pool.length > 0 && selectedA.length < EXAM_SUBJECTS.A.questionCount) {
+                    selectedA.push(pool.shift());
+                }
+            });
+        }
+
+        // 科目B: case-study questions, taking whole scenarios so sub-questions stay together
+        const subjectB = allQuestions.filter(q => this.getQuestionSubject(q) === 'B');
+        const selectedB = [];
 
-        categories.forEach(category => {
-            const categoryQuestions = allQuestions.filter(q => q.category === category);
-            const shuffled = this.shuffleArray([...categoryQuestions]);
-            selected.push(...shuffled.slice(0, questionsPerCategory));
+        this.getQuestionUnits(subjectB, true).forEach(unit => {
+            if (selectedB.length + unit.length <= EXAM_SUBJECTS.B.questionCount) {
+                selectedB.push(...unit);
+            }
         });
 
-        return this.shuffleArray(selected);
+        return [...this.shuffleArray(selectedA), ...selectedB];
+    }
+
+    selectDueReviewQuestions(allQuestions) {
+        if (!window.StorageManager) return [];
+
+        const dueIds = window.StorageManager.getDueReviews(undefined, 'question').map(item => item.id);
+        const questions = allQuestions.filter(q => dueIds.includes(q.id));
+
+        // Most overdue first
+        return questions.sort((a, b) => dueIds.indexOf(a.id) - dueIds.indexOf(b.id)).slice(0, 20);
+    }
+
+    selectMistakeQuestions(allQuestions) {
+        if (!window.StorageManager) return [];
+
+        const missed = window.StorageManager.queryQuestionHistory({
+            minIncorrect: 1,
+            maxCorrectStreak: this.settings.mistakeMasteryStreak - 1
+        }).map(summary => summary.questionId);
+
+        // Most recently attempted first
+        return allQuestions
+            .filter(q => missed.includes(q.id))
+            .sort((a, b) => missed.indexOf(a.id) - missed.indexOf(b.id));
+    }
+
+    selectBookmarkedQuestions(allQuestions) {
+        if (!window.StorageManager) return [];
+
+        const bookmarkedIds = window.StorageManager.getQuestionBookmarks().map(b => b.questionId);
+
+        // Newest bookmark first
+        return allQuestions
+            .filter(q => bookmarkedIds.includes(q.id))
+            .sort((a, b) => bookmarkedIds.indexOf(a.id) - bookmarkedIds.indexOf(b.id));
     }
 
     generateQuestionGrid() {
         const questions = this.currentQuiz.questions;
-        return questions.map((q, index) => `
-            <button class="question-nav-btn" data-question="${index}">
-                ${index + 1}
-            </button>
-        `).join('');
+        const renderButtons = indexes => this.groupByScenario(indexes).map(group => {
+            const buttons = group.indexes.map(index => `
+                <button class="question-nav-btn" data-question="${index}">
+                    ${index + 1}
+                </button>
+            `).join('');
+
+            if (!group.scenario) return buttons;
+
+            return `
+                <div class="question-grid-scenario" title="${this.plainContent(group.scenario.title)}">
+                    <div class="question-grid-scenario-label">事例</div>
+                    ${buttons}
+                </div>
+            `;
+        }).join('');
+
+        if (!this.hasSubjects()) {
+            return renderButtons(questions.map((q, index) => index));
+        }
+
+        // Group the navigator by 科目 for mock exams
+        return Object.keys(EXAM_SUBJECTS).map(subject => {
+            const indexes = questions
+                .map((q, index) => index)
+                .filter(index => this.getQuestionSubject(questions[index]) === subject);
+            if (indexes.length === 0) return '';
+
+            return `
+                <div class="question-grid-group">
+                    <div class="question-grid-label">${this.getSubjectName(subject)}</div>
+                    <div class="question-grid-buttons">${renderButtons(indexes)}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Split question indexes into runs that share a scenario
+     */
+    groupByScenario(indexes) {
+        const questions = this.currentQuiz.questions;
+        const groups = [];
+
+        indexes.forEach(index => {
+            const question = questions[index];
+            const last = groups[groups.length - 1];
+
+            if (question.scenarioId && last && last.scenario && last.scenario.id === question.scenarioId) {
+                last.indexes.push(index);
+            } else {
+                groups.push({ scenario: question.scenarioId ? question.scenario : null, indexes: [index] });
+            }
+        });
+
+        return groups;
+    }
+
+    getScenarioQuestionIndexes(scenarioId) {
+        return this.currentQuiz.questions
+            .map((q, index) => q.scenarioId === scenarioId ? index : -1)
+            .filter(index => index >= 0);
+    }
+
+    /**
+     * Group questions into units: a standalone question, or all sub-questions of one scenario
+     */
+    getQuestionUnits(questions, shuffle = false) {
+        const units = [];
+        const scenarioUnits = {};
+
+        questions.forEach(question => {
+            if (!question.scenarioId) {
+                units.push([question]);
+            } else if (scenarioUnits[question.scenarioId]) {
+                scenarioUnits[question.scenarioId].push(question);
+            } else {
+                scenarioUnits[question.scenarioId] = [question];
+                units.push(scenarioUnits[question.scenarioId]);
+            }
+        });
+
+        return shuffle ? this.shuffleArray(units) : units;
+    }
+
+    shuffleQuestionUnits(questions) {
+        return this.getQuestionUnits(questions, true).flat();
     }
 
     updateQuestionGrid() {
         const buttons = document.querySelectorAll('.question-nav-btn');
-        buttons.forEach((btn, index) => {
-            btn.classList.remove('current', 'answered');
+        buttons.forEach(btn => {
+            const index = parseInt(btn.dataset.question);
+            const answered = this.answers[index] !== null;
+            const flagged = this.flagged[index];
+            btn.classList.remove('current', 'answered', 'flagged');
             
             if (index === this.currentQuestion) {
                 btn.classList.add('current');
             }
-            if (this.answers[index] !== null) {
+            if (answered) {
                 btn.classList.add('answered');
             }
+            if (flagged) {
+                btn.classList.add('flagged');
+            }
+            btn.setAttribute('aria-label', `問題 ${index + 1}（${answered ? '回答済み' : '未回答'}${flagged ? '・見直し' : ''}）`);
         });
+
+        const jumpBtn = document.querySelector('.quiz-jump-pending');
+        if (jumpBtn) {
+            jumpBtn.disabled = this.getPendingQuestionIndexes().every(index => index === this.currentQuestion);
+        }
     }
 
     updateQuizStats() {
@@ -835,12 +2942,117 @@ class QuizEngine {
 
         if (answeredElement) answeredElement.textContent = answeredCount;
         if (unansweredElement) unansweredElement.textContent = unansweredCount;
+
+        const flaggedElement = document.getElementById('flagged-count');
+        if (flaggedElement) flaggedElement.textContent = this.flagged.filter(Boolean).length;
+
+        // 一問一答 keeps score over the answers checked so far
+        const scoreElement = document.getElementById('running-score');
+        if (scoreElement) {
+            const checked = this.answers.map((answer, index) => index).filter(index => this.locked[index]);
+            const correct = checked.filter(index =>
+                this.scoreAnswer(this.currentQuiz.questions[index], this.answers[index]) === 1
+            ).length;
+            scoreElement.textContent = `${correct} / ${checked.length}`;
+        }
+    }
+
+    getQuizTitle(quiz = this.currentQuiz) {
+        if (quiz.type === 'past' && quiz.filters && quiz.filters.pastExam) {
+            return `${[].concat(quiz.filters.pastExam).join('・')} - 過去問`;
+        }
+
+        const typeTitle = this.getQuizTypeTitle(quiz.type);
+        if (typeTitle) return typeTitle;
+
+        const categoryName = this.getCategoryName(quiz.category);
+        const filterLabel = this.getFilterLabel(quiz.filters);
+        const typeName = quiz.type === 'mock' ? '模擬試験'
+            : quiz.settings && quiz.settings.immediateFeedback ? '一問一答'
+            : '練習問題';
+        return `${categoryName}${filterLabel ? `（${filterLabel}）` : ''} - ${typeName}`;
+    }
+
+    /**
+     * Most specific topic of a question: its first syllabus item, else its first tag, else its category
+     */
+    getQuestionTopic(question) {
+        const syllabus = this.questionBank ? this.questionBank.taxonomy.syllabus : [];
+        const code = (question.syllabus || [])[0];
+        if (code) {
+            const item = syllabus.find(entry => entry.code === code);
+            return item ? `${code} ${item.title}` : code;
+        }
+        if (question.tags && question.tags.length > 0) {
+            return `#${question.tags[0]}`;
+        }
+        return this.getCategoryName(question.category);
+    }
+
+    /**
+     * Study page section for an anchor such as "/study/laws/#privacy-laws", titled from the taxonomy
+     */
+    getStudySection(anchor) {
+        const sections = this.questionBank ? this.questionBank.taxonomy.studySections : [];
+        const section = sections.find(entry => entry.anchor === anchor);
+        if (section) return section;
+
+        const page = anchor.split('/')[2];
+        return { anchor: anchor, title: `${this.getCategoryName(page)} ${anchor.split('#')[1]}` };
+    }
+
+    /**
+     * URL of a site path such as "/study/laws/#privacy-laws", resolved against the site root
+     */
+    getSiteUrl(sitePath) {
+        return window.SitePaths.url(sitePath);
+    }
+
+    /**
+     * Links from an explanation back to the study page sections the question covers
+     */
+    renderStudyLinks(question) {
+        if (!question.study || question.study.length === 0) return '';
+
+        return `
+            <div class="study-links">
+                <strong>📖 学習ページで復習:</strong>
+                ${question.study.map(anchor => `<a href="${this.getSiteUrl(anchor)}">${this.renderContent(this.getStudySection(anchor).title, true)}</a>`).join('、')}
+            </div>
+        `;
+    }
+
+    /**
+     * Short description of the filters beyond the category
+     */
+    getFilterLabel(filters) {
+        if (!filters) return '';
+
+        const syllabus = this.questionBank ? this.questionBank.taxonomy.syllabus : [];
+        const parts = [
+            ...(filters.flags || []).map(flag => flag === 'important' ? '重要' : flag),
+            ...[].concat(filters.difficulty || []).map(difficulty => `難易度: ${this.getDifficultyText(difficulty)}`),
+            ...(filters.syllabus || []).map(code => {
+                const item = syllabus.find(entry => entry.code === code);
+                return item ? `${code} ${item.title}` : code;
+            }),
+            ...(filters.tags || []).map(tag => `#${tag}`),
+            ...(filters.study || []).map(anchor => this.plainContent(this.getStudySection(anchor).title))
+        ];
+
+        return parts.join('・');
     }
 
-    getQuizTitle() {
-        const categoryName = this.getCategoryName(this.currentQuiz.category);
-        const typeName = this.currentQuiz.type === 'mock' ? '模擬試験' : '練習問題';
-        return `${categoryName} - ${typeName}`;
+    getQuizTypeTitle(type) {
+        const titles = {
+            'review': '今日の復習',
+            'mistakes': '間違えた問題',
+            'bookmarks': 'ブックマークした問題',
+            'adaptive': 'アダプティブ演習',
+            'custom': 'カスタム演習',
+            'past': '過去問'
+        };
+        return titles[type] || null;
     }
 
     getCategoryName(category) {
@@ -854,6 +3066,66 @@ class QuizEngine {
         return categories[category] || category;
     }
 
+    getAnswerFormat(question) {
+        return window.AnswerFormats.get(question.format);
+    }
+
+    getQuestionHints(question) {
+        if (Array.isArray(question.hint)) return question.hint;
+        return question.hint ? [question.hint] : [];
+    }
+
+    /**
+     * Stems, passages, hints and explanations are written in the rich text subset
+     */
+    renderContent(source, inline = false) {
+        return window.RichText ? window.RichText.render(source, { inline }) : source;
+    }
+
+    /**
+     * Question figure; the path goes through the rich text URL allow-list like images in content
+     */
+    renderImage(image) {
+        if (!image) return '';
+        const url = String(image).startsWith('/') ? this.getSiteUrl(image) : String(image);
+        const src = window.RichText ? window.RichText.sanitizeUrl(url) : this.escapeHtml(url);
+        return src ? `<img src="${src}" alt="問題図" class="question-image">` : '';
+    }
+
+    /**
+     * Escape a raw value (pack ids, load errors) for text or attributes
+     */
+    escapeHtml(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Content as plain text for attributes such as title=""
+     */
+    plainContent(source) {
+        const text = window.RichText ? window.RichText.toPlainText(source) : String(source);
+        return text.replace(/"/g, '&quot;');
+    }
+
+    getSubjectName(subject) {
+        return EXAM_SUBJECTS[subject] ? EXAM_SUBJECTS[subject].name : subject;
+    }
+
+    getQuestionSubject(question) {
+        return question.subject || 'A';
+    }
+
+    hasSubjects() {
+        return this.isExamType(this.currentQuiz.type);
+    }
+
+    /**
+     * Mock exams and past exam sets run as exams: fixed order, no 一問一答 and no hint penalty
+     */
+    isExamType(type) {
+        return type === 'mock' || type === 'past';
+    }
+
     getDifficultyText(difficulty) {
         const difficulties = {
             'easy': '基礎',
@@ -864,22 +3136,45 @@ class QuizEngine {
     }
 
     getReturnUrl() {
-        return this.currentQuiz.type === 'mock' ? '/practice/mock-exam/' : '/practice/category/';
+        const urls = {
+            'mock': '/practice/mock-exam/',
+            'past': '/practice/mock-exam/',
+            'custom': '/practice/'
+        };
+        return this.getSiteUrl(urls[this.currentQuiz.type] || '/practice/category/');
     }
 
     restartQuiz() {
-        this.startQuiz(this.currentQuiz.category, this.currentQuiz.type);
+        if (this.currentQuiz.custom) {
+            // Draw a fresh set with the same builder settings
+            this.startCustomQuiz(this.currentQuiz.custom);
+            return;
+        }
+        if (this.currentQuiz.type === 'past') {
+            this.startPastExam([].concat(this.currentQuiz.filters.pastExam)[0]);
+            return;
+        }
+        this.startQuiz(this.currentQuiz.filters || this.currentQuiz.category, this.currentQuiz.type, null, {
+            settings: { immediateFeedback: this.currentQuiz.settings.immediateFeedback }
+        });
     }
 
-    shuffleArray(array) {
+    /**
+     * Fisher-Yates shuffle with the quiz's seeded generator, or the given one
+     */
+    shuffleArray(array, random = this.random || Math.random) {
         const shuffled = [...array];
         for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(random() * (i + 1));
             [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
         }
         return shuffled;
     }
 
+    generateSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
     generateQuizId() {
         return 'quiz_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
@@ -904,7 +3199,7 @@ class QuizEngine {
     }
 
     /**
-     * Generate sample questions for demonstration
+     * Built-in questions used when the question packs cannot be loaded
      */
     generateSampleQuestions() {
         return [
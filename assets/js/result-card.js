@@ -0,0 +1,252 @@
+/**
+ * Result Card for Information Security Management Study Site
+ * Turns a quiz result summary into a shareable PNG card or plain text
+ *
+ * The card only shows the summary it is given plus what the user opts into
+ * (a display name, the category breakdown, the time taken and the date);
+ * nothing is read from stored study data.
+ */
+
+// Card layout in CSS pixels; the canvas is scaled up for sharp output
+const RESULT_CARD_WIDTH = 1200;
+const RESULT_CARD_SCALE = 2;
+const RESULT_CARD_FONT = "'Noto Sans JP', 'Hiragino Sans', 'Yu Gothic', 'Meiryo', sans-serif";
+
+// Site palette (style.css variables cannot be read from a canvas)
+const RESULT_CARD_COLORS = {
+    primary: '#1976d2',
+    primaryLight: '#42a5f5',
+    success: '#4caf50',
+    error: '#f44336',
+    text: '#212121',
+    muted: '#616161',
+    track: '#e0e0e0',
+    background: '#ffffff'
+};
+
+const RESULT_CARD_SITE_NAME = '情報セキュリティマネジメント試験 学習サイト';
+
+/**
+ * Result Card Renderer Class
+ */
+class ResultCardRenderer {
+    /**
+     * Plain text version of the card, for chat messages
+     * summary: { title, score, maxScore, passed, percentage, correctAnswers, totalQuestions, time, breakdown: [{ name, correct, total }], completedAt }
+     * options: { name, showBreakdown, showTime, showDate }
+     */
+    toText(summary, options = {}) {
+        const lines = [
+            `【${RESULT_CARD_SITE_NAME}】`,
+            options.name ? `${options.name} の結果: ${summary.title}` : summary.title,
+            `スコア: ${summary.score} / ${summary.maxScore}点（${summary.passed ? '合格' : '不合格'}）`,
+            `正答: ${summary.correctAnswers} / ${summary.totalQuestions}問（${summary.percentage}%）`
+        ];
+
+        if (options.showTime) {
+            lines.push(`所要時間: ${summary.time}`);
+        }
+        if (options.showBreakdown && summary.breakdown.length > 0) {
+            lines.push('分野別:');
+            summary.breakdown.forEach(item => {
+                lines.push(`・${item.name} ${item.correct} / ${item.total}問（${this.getRate(item)}%）`);
+            });
+        }
+        if (options.showDate) {
+            lines.push(`受験日: ${new Date(summary.completedAt).toLocaleDateString('ja-JP')}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Draw the card onto a canvas; its height follows the number of breakdown rows
+     */
+    draw(canvas, summary, options = {}) {
+        const rows = options.showBreakdown ? summary.breakdown : [];
+        const height = 420 + (rows.length > 0 ? 60 + rows.length * 56 : 0) + 70;
+
+        canvas.width = RESULT_CARD_WIDTH * RESULT_CARD_SCALE;
+        canvas.height = height * RESULT_CARD_SCALE;
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(RESULT_CARD_SCALE, 0, 0, RESULT_CARD_SCALE, 0, 0);
+        ctx.textBaseline = 'alphabetic';
+
+        // Background and header band
+        ctx.fillStyle = RESULT_CARD_COLORS.background;
+        ctx.fillRect(0, 0, RESULT_CARD_WIDTH, height);
+        const gradient = ctx.createLinearGradient(0, 0, RESULT_CARD_WIDTH, 0);
+        gradient.addColorStop(0, RESULT_CARD_COLORS.primary);
+        gradient.addColorStop(1, RESULT_CARD_COLORS.primaryLight);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, RESULT_CARD_WIDTH, 120);
+
+        ctx.fillStyle = RESULT_CARD_COLORS.background;
+        ctx.font = `500 24px ${RESULT_CARD_FONT}`;
+        ctx.fillText(RESULT_CARD_SITE_NAME, 60, 52);
+        ctx.font = `700 34px ${RESULT_CARD_FONT}`;
+        ctx.fillText(this.fitText(ctx, summary.title, RESULT_CARD_WIDTH - 120), 60, 98);
+
+        // Score and verdict
+        const statusColor = summary.passed ? RESULT_CARD_COLORS.success : RESULT_CARD_COLORS.error;
+        if (options.name) {
+            ctx.fillStyle = RESULT_CARD_COLORS.muted;
+            ctx.font = `500 26px ${RESULT_CARD_FONT}`;
+            ctx.fillText(this.fitText(ctx, `${options.name} の結果`, RESULT_CARD_WIDTH - 120), 60, 176);
+        }
+
+        ctx.fillStyle = RESULT_CARD_COLORS.text;
+        ctx.font = `700 120px ${RESULT_CARD_FONT}`;
+        const scoreText = String(summary.score);
+        ctx.fillText(scoreText, 60, 310);
+        const scoreWidth = ctx.measureText(scoreText).width;
+        ctx.fillStyle = RESULT_CARD_COLORS.muted;
+        ctx.font = `500 32px ${RESULT_CARD_FONT}`;
+        ctx.fillText(`/ ${summary.maxScore}点`, 60 + scoreWidth + 16, 310);
+
+        const badgeText = summary.passed ? '合格' : '不合格';
+        ctx.font = `700 36px ${RESULT_CARD_FONT}`;
+        const badgeWidth = ctx.measureText(badgeText).width + 64;
+        const badgeX = RESULT_CARD_WIDTH - 60 - badgeWidth;
+        ctx.fillStyle = statusColor;
+        this.fillRoundedRect(ctx, badgeX, 220, badgeWidth, 72, 36);
+        ctx.fillStyle = RESULT_CARD_COLORS.background;
+        ctx.fillText(badgeText, badgeX + 32, 270);
+
+        ctx.fillStyle = RESULT_CARD_COLORS.text;
+        ctx.font = `500 30px ${RESULT_CARD_FONT}`;
+        const details = [`正答 ${summary.correctAnswers} / ${summary.totalQuestions}問（${summary.percentage}%）`];
+        if (options.showTime) {
+            details.push(`所要時間 ${summary.time}`);
+        }
+        ctx.fillText(details.join('　'), 60, 370);
+
+        // Category breakdown as labelled bars
+        let y = 420;
+        if (rows.length > 0) {
+            ctx.fillStyle = RESULT_CARD_COLORS.muted;
+            ctx.font = `700 26px ${RESULT_CARD_FONT}`;
+            ctx.fillText('分野別', 60, y + 30);
+            y += 60;
+
+            rows.forEach(item => {
+                const rate = this.getRate(item);
+                ctx.fillStyle = RESULT_CARD_COLORS.text;
+                ctx.font = `500 26px ${RESULT_CARD_FONT}`;
+                ctx.fillText(this.fitText(ctx, item.name, 260), 60, y + 30);
+
+                ctx.fillStyle = RESULT_CARD_COLORS.track;
+                this.fillRoundedRect(ctx, 340, y + 12, 560, 24, 12);
+                if (rate > 0) {
+                    ctx.fillStyle = RESULT_CARD_COLORS.primary;
+                    this.fillRoundedRect(ctx, 340, y + 12, Math.max(24, 560 * rate / 100), 24, 12);
+                }
+
+                ctx.fillStyle = RESULT_CARD_COLORS.muted;
+                ctx.fillText(`${item.correct} / ${item.total}問（${rate}%）`, 930, y + 30);
+                y += 56;
+            });
+        }
+
+        // Footer
+        ctx.fillStyle = RESULT_CARD_COLORS.track;
+        ctx.fillRect(60, height - 70, RESULT_CARD_WIDTH - 120, 2);
+        ctx.fillStyle = RESULT_CARD_COLORS.muted;
+        ctx.font = `400 22px ${RESULT_CARD_FONT}`;
+        ctx.fillText('SG試験学習サイト', 60, height - 28);
+        if (options.showDate) {
+            const dateText = new Date(summary.completedAt).toLocaleDateString('ja-JP');
+            ctx.fillText(dateText, RESULT_CARD_WIDTH - 60 - ctx.measureText(dateText).width, height - 28);
+        }
+
+        return canvas;
+    }
+
+    /**
+     * PNG file of a drawn card; prepare it ahead of time, as sharing and saving
+     * have to happen directly in the click that asks for them
+     */
+    toFile(canvas, filename = 'sg-result.png') {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(new File([blob], filename, { type: 'image/png' }));
+                } else {
+                    reject(new Error('画像を作成できませんでした'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    /**
+     * Save a prepared card file
+     */
+    download(file) {
+        const url = URL.createObjectURL(file);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    isShareSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.share === 'function';
+    }
+
+    /**
+     * Share through the Web Share API; the image is attached where the browser can share files
+     * Call straight from the click handler: nothing is awaited before navigator.share, so the
+     * user activation is still there. Rejects with an AbortError when the share sheet is closed
+     */
+    share(file, summary, options = {}) {
+        const data = {
+            title: `${summary.title} - 結果`,
+            text: this.toText(summary, options)
+        };
+
+        if (file && typeof navigator.canShare === 'function' && navigator.canShare({ files: [file] })) {
+            data.files = [file];
+        }
+
+        return navigator.share(data);
+    }
+
+    getRate(item) {
+        return item.total > 0 ? Math.round((item.correct / item.total) * 100) : 0;
+    }
+
+    /**
+     * Shorten text with an ellipsis until it fits the width
+     */
+    fitText(ctx, text, maxWidth) {
+        if (ctx.measureText(text).width <= maxWidth) return text;
+
+        let fitted = text;
+        while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+            fitted = fitted.slice(0, -1);
+        }
+        return `${fitted}…`;
+    }
+
+    fillRoundedRect(ctx, x, y, width, height, radius) {
+        const r = Math.min(radius, width / 2, height / 2);
+        ctx.beginPath();
+        ctx.moveTo(x + r, y);
+        ctx.arcTo(x + width, y, x + width, y + height, r);
+        ctx.arcTo(x + width, y + height, x, y + height, r);
+        ctx.arcTo(x, y + height, x, y, r);
+        ctx.arcTo(x, y, x + width, y, r);
+        ctx.closePath();
+        ctx.fill();
+    }
+}
+
+// Create global instance
+const resultCard = new ResultCardRenderer();
+
+// Export for use in other modules
+window.ResultCard = resultCard;
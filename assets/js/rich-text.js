@@ -0,0 +1,392 @@
+/**
+ * Rich Text for Information Security Management Study Site
+ * Renders the Markdown subset used in question content and sanitizes the result
+ *
+ * Supported: paragraphs (line breaks are kept), **strong**, *em*, `code`, fenced code
+ * blocks, "- " and "1. " lists, "> " quotes, [links](url), ![images](src "caption")
+ * (an image on its own line becomes a captioned figure) and pipe tables with an
+ * optional ": caption" line directly above or below. Inline HTML is allowed but
+ * passes through the same allow-list as the Markdown output.
+ */
+
+// Elements and the attributes each may keep; anything else is shown as text
+const RICH_TEXT_ELEMENTS = {
+    p: [], br: [], strong: [], b: [], em: [], i: [], u: [], s: [], sub: [], sup: [], small: [], mark: [], kbd: [],
+    code: ['class'], pre: [], blockquote: [], hr: [], span: ['class'], div: ['class'],
+    ul: [], ol: ['start'], li: [],
+    table: [], caption: [], thead: [], tbody: [], tfoot: [], tr: [],
+    th: ['class', 'colspan', 'rowspan', 'scope'], td: ['class', 'colspan', 'rowspan'],
+    figure: [], figcaption: [], img: ['src', 'alt', 'title', 'width', 'height'], a: ['href', 'title']
+};
+const RICH_TEXT_VOID_ELEMENTS = ['br', 'hr', 'img'];
+const RICH_TEXT_URL_ATTRIBUTES = ['href', 'src'];
+const RICH_TEXT_URL_SCHEMES = ['http', 'https', 'mailto'];
+
+// Raw HTML that starts one of these is left as its own block instead of becoming a paragraph
+const RICH_TEXT_HTML_BLOCK = /^<(p|div|table|ul|ol|pre|blockquote|figure|hr)[\s>/]/i;
+
+/**
+ * Rich Text Renderer Class
+ */
+class RichTextRenderer {
+    /**
+     * Render question content to safe HTML
+     * With `inline`, a single paragraph comes back without its <p> so it can sit in a label or heading
+     */
+    render(source, options = {}) {
+        if (source === undefined || source === null || source === '') {
+            return '';
+        }
+
+        const blocks = this.renderBlocks(String(source).replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n'));
+        let html = blocks.join('\n');
+
+        if (options.inline && blocks.length === 1 && /^<p>[\s\S]*<\/p>$/.test(html) && html.indexOf('<p>', 1) === -1) {
+            html = html.slice(3, -4);
+        }
+
+        return this.sanitize(html, options.problems);
+    }
+
+    /**
+     * What the sanitizer had to change in the content: tags shown as text, attributes
+     * and URLs dropped. Content written within the subset comes back with none
+     */
+    findProblems(source) {
+        const problems = [];
+        this.render(source, { problems });
+        return [...new Set(problems)];
+    }
+
+    /**
+     * A URL checked against the same allow-list as links and images in content, ready for
+     * an attribute; null when it is refused. For URLs kept outside the text, such as question.image
+     */
+    sanitizeUrl(value) {
+        const url = sanitizeUrl(String(value));
+        return url === null ? null : url.replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
+
+    /**
+     * Text content only, still HTML-escaped, for places that cannot hold markup such as <option>
+     */
+    toPlainText(source) {
+        return this.render(source, { inline: true })
+            .replace(/<br>/g, ' ')
+            .replace(/<[^>]*>/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Block-level Markdown
+     */
+    renderBlocks(lines) {
+        const blocks = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (line.trim() === '') {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+-]*)\s*$/);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                blocks.push(`<pre><code${fence[2] ? ` class="language-${fence[2]}"` : ''}>${escapeMarkup(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            if (this.isTableStart(lines, i) || (isCaptionLine(line) && this.isTableStart(lines, i + 1))) {
+                let caption = null;
+                if (isCaptionLine(line)) {
+                    caption = line.trim().slice(1).trim();
+                    i++;
+                }
+                const rows = [];
+                while (i < lines.length && isTableRow(lines[i])) {
+                    rows.push(lines[i]);
+                    i++;
+                }
+                if (caption === null && i < lines.length && isCaptionLine(lines[i])) {
+                    caption = lines[i].trim().slice(1).trim();
+                    i++;
+                }
+                blocks.push(this.renderTable(rows, caption));
+                continue;
+            }
+
+            const figure = line.trim().match(/^!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)$/);
+            if (figure) {
+                const [, alt, src, caption] = figure;
+                blocks.push(`
+                    <figure>
+                        <img src="${escapeMarkup(src)}" alt="${escapeMarkup(alt)}">
+                        ${caption ? `<figcaption>${this.renderInline(caption)}</figcaption>` : ''}
+                    </figure>
+                `.trim());
+                i++;
+                continue;
+            }
+
+            if (/^\s*>/.test(line)) {
+                const quoted = [];
+                while (i < lines.length && /^\s*>/.test(lines[i])) {
+                    quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+                    i++;
+                }
+                blocks.push(`<blockquote>${this.renderBlocks(quoted).join('\n')}</blockquote>`);
+                continue;
+            }
+
+            const listType = getListType(line);
+            if (listType) {
+                const items = [];
+                while (i < lines.length && lines[i].trim() !== '') {
+                    if (getListType(lines[i]) === listType) {
+                        items.push(lines[i].replace(/^\s*([-*+]|\d+[.)])\s+/, ''));
+                    } else if (getListType(lines[i]) || this.startsBlock(lines, i)) {
+                        break;
+                    } else {
+                        // Continuation of the previous item
+                        items[items.length - 1] += `\n${lines[i].trim()}`;
+                    }
+                    i++;
+                }
+                const start = listType === 'ol' ? parseInt(line.trim(), 10) : 1;
+                blocks.push(`
+                    <${listType}${start !== 1 ? ` start="${start}"` : ''}>
+                        ${items.map(item => `<li>${this.renderInline(item)}</li>`).join('')}
+                    </${listType}>
+                `.trim());
+                continue;
+            }
+
+            const paragraph = [line];
+            i++;
+            while (i < lines.length && lines[i].trim() !== '' && !this.startsBlock(lines, i)) {
+                paragraph.push(lines[i]);
+                i++;
+            }
+            const text = paragraph.join('\n');
+            blocks.push(RICH_TEXT_HTML_BLOCK.test(text.trim()) ? text : `<p>${this.renderInline(text)}</p>`);
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Whether the line at `index` begins a block other than a paragraph
+     */
+    startsBlock(lines, index) {
+        const line = lines[index];
+        return /^\s*(`{3,}|~{3,}|>)/.test(line) ||
+            getListType(line) !== null ||
+            /^!\[[^\]]*\]\([^)]*\)$/.test(line.trim()) ||
+            this.isTableStart(lines, index) ||
+            (isCaptionLine(line) && this.isTableStart(lines, index + 1));
+    }
+
+    isTableStart(lines, index) {
+        return index + 1 < lines.length && isTableRow(lines[index]) && /^\s*\|(\s*:?-+:?\s*\|)+\s*$/.test(lines[index + 1]);
+    }
+
+    /**
+     * Pipe table; the second row sets column alignment with colons
+     */
+    renderTable(rows, caption) {
+        const [header, divider, ...body] = rows.map(splitTableRow);
+        const alignments = divider.map(cell => {
+            if (/^:-+:$/.test(cell)) return 'center';
+            if (/^-+:$/.test(cell)) return 'right';
+            return null;
+        });
+        const cell = (tag, text, column) => {
+            const align = alignments[column] ? ` class="align-${alignments[column]}"` : '';
+            return `<${tag}${align}>${this.renderInline(text)}</${tag}>`;
+        };
+
+        return `
+            <table>
+                ${caption ? `<caption>${this.renderInline(caption)}</caption>` : ''}
+                <thead><tr>${header.map((text, column) => cell('th', text, column)).join('')}</tr></thead>
+                <tbody>
+                    ${body.map(row => `<tr>${header.map((_, column) => cell('td', row[column] || '', column)).join('')}</tr>`).join('')}
+                </tbody>
+            </table>
+        `.trim();
+    }
+
+    /**
+     * Inline Markdown; code spans and inline HTML are set aside first so their contents stay as written
+     */
+    renderInline(text) {
+        const kept = [];
+        const keep = html => `\u0000${kept.push(html) - 1}\u0000`;
+
+        return text
+            .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(`<code>${escapeMarkup(code.trim())}</code>`))
+            .replace(/<\/?[a-zA-Z][^>]*>/g, tag => keep(tag))
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/g, (match, alt, src, title) => keep(
+                `<img src="${escapeMarkup(src)}" alt="${escapeMarkup(alt)}"${title ? ` title="${escapeMarkup(title)}"` : ''}>`
+            ))
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => `${keep(`<a href="${escapeMarkup(href)}">`)}${label}${keep('</a>')}`)
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+            .replace(/\n/g, '<br>')
+            .replace(/\u0000(\d+)\u0000/g, (match, index) => kept[index]);
+    }
+
+    /**
+     * Keep only allow-listed elements and attributes, escape everything else and balance the tags
+     */
+    sanitize(html, problems = null) {
+        const open = [];
+        let output = '';
+        let position = 0;
+        const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>|<!--[\s\S]*?-->/g;
+        let match;
+
+        while ((match = tagPattern.exec(html)) !== null) {
+            output += escapeText(html.slice(position, match.index));
+            position = tagPattern.lastIndex;
+
+            const [, closing, rawName, attributes] = match;
+            const name = (rawName || '').toLowerCase();
+            if (!rawName || !RICH_TEXT_ELEMENTS[name]) {
+                // Comments are dropped; unknown tags are shown as written
+                if (rawName) {
+                    output += escapeText(match[0]);
+                    if (problems) problems.push(`使えないタグ <${closing}${name}> は文字として表示されます`);
+                }
+                continue;
+            }
+
+            if (closing) {
+                const depth = open.lastIndexOf(name);
+                if (depth !== -1) {
+                    output += open.splice(depth).reverse().map(tag => `</${tag}>`).join('');
+                }
+                continue;
+            }
+
+            output += `<${name}${this.sanitizeAttributes(name, attributes, problems)}>`;
+            if (!RICH_TEXT_VOID_ELEMENTS.includes(name)) {
+                open.push(name);
+            }
+        }
+
+        output += escapeText(html.slice(position));
+        return output + open.reverse().map(tag => `</${tag}>`).join('');
+    }
+
+    sanitizeAttributes(name, attributes, problems = null) {
+        const allowed = RICH_TEXT_ELEMENTS[name];
+        const attributePattern = /([^\s=>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+        let result = '';
+        let match;
+
+        while ((match = attributePattern.exec(attributes || '')) !== null) {
+            const attribute = match[1].toLowerCase();
+            let value = [match[2], match[3], match[4]].find(part => part !== undefined) || '';
+
+            if (!allowed.includes(attribute)) {
+                if (problems) problems.push(`<${name}> の属性 ${attribute} は削除されます`);
+                continue;
+            }
+            if (RICH_TEXT_URL_ATTRIBUTES.includes(attribute)) {
+                const url = value;
+                value = sanitizeUrl(value);
+                if (value === null) {
+                    if (problems) problems.push(`<${name}> の ${attribute} "${url}" は使えない URL のため削除されます`);
+                    continue;
+                }
+            }
+            result += ` ${attribute}="${value.replace(/"/g, '&quot;').replace(/</g, '&lt;')}"`;
+        }
+
+        // External links open in a new tab so a quiz in progress is not lost
+        if (name === 'a' && /href="https?:/i.test(result)) {
+            result += ' target="_blank" rel="noopener noreferrer"';
+        }
+
+        return result;
+    }
+}
+
+/**
+ * Helper functions
+ */
+
+function escapeMarkup(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape text between tags while keeping entities that are already written out
+ */
+function escapeText(value) {
+    return value
+        .replace(/&(?![a-zA-Z][a-zA-Z0-9]*;|#\d+;|#x[0-9a-fA-F]+;)/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Relative URLs and allow-listed schemes only; entity-encoded URLs are refused outright
+ */
+function sanitizeUrl(value) {
+    const url = value.replace(/[\u0000-\u0020\u007f]/g, '');
+    if (/&(?!amp;)/i.test(url)) return null;
+
+    const scheme = url.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+    if (scheme && !RICH_TEXT_URL_SCHEMES.includes(scheme[1].toLowerCase())) return null;
+
+    return url;
+}
+
+function isTableRow(line) {
+    return /^\s*\|.*\|\s*$/.test(line);
+}
+
+function isCaptionLine(line) {
+    return /^\s*:\s+\S/.test(line);
+}
+
+/**
+ * Cells of a pipe table row; escaped pipes and pipes inside code spans stay in the cell
+ */
+function splitTableRow(line) {
+    return line.trim()
+        .replace(/\\\|/g, '\u0001')
+        .replace(/`[^`]*`/g, code => code.replace(/\|/g, '\u0001'))
+        .slice(1, -1)
+        .split('|')
+        .map(cell => cell.trim().replace(/\u0001/g, '|'));
+}
+
+function getListType(line) {
+    if (/^\s*[-*+]\s+\S/.test(line)) return 'ul';
+    if (/^\s*\d+[.)]\s+\S/.test(line)) return 'ol';
+    return null;
+}
+
+// Create global instance
+const richText = new RichTextRenderer();
+
+// Export for use in other modules
+if (typeof window !== 'undefined') window.RichText = richText;
+
+// The question pack validator and the sanitizer tests run it under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RichTextRenderer, richText };
+}
@@ -0,0 +1,150 @@
+/**
+ * Scoring Models for Information Security Management Study Site
+ * Converts quiz answers to the 1000-point scale used by the SG exam
+ */
+
+// Score scale shared by all models
+const SCORE_SCALE = {
+    max: 1000,
+    passing: 600
+};
+
+// Default item parameters when a question has no explicit `irt` block
+const DEFAULT_ITEM_PARAMETERS = {
+    easy: { a: 1.0, b: -1.0 },
+    normal: { a: 1.0, b: 0.0 },
+    hard: { a: 1.2, b: 1.0 }
+};
+
+// Keeps log(p) and log(1 - p) finite when an item's p rounds to 0 or 1
+const PROBABILITY_EPSILON = 1e-9;
+
+/**
+ * Credit earned for a question result (0-1); reduced by hint penalties
+ */
+function getCredit(result) {
+    if (typeof result.credit === 'number') return result.credit;
+    return result.isCorrect ? 1 : 0;
+}
+
+/**
+ * Linear Scorer Class
+ * The original percentage × 10 formula
+ */
+class LinearScorer {
+    constructor() {
+        this.id = 'linear';
+        this.name = '正答率換算';
+    }
+
+    score(questionResults) {
+        const total = questionResults.length;
+        const correct = questionResults.reduce((sum, result) => sum + getCredit(result), 0);
+        const proportion = total > 0 ? correct / total : 0;
+
+        // Wilson score interval (95%) for the proportion correct
+        const z = 1.96;
+        const center = (proportion + z * z / (2 * total)) / (1 + z * z / total);
+        const margin = (z / (1 + z * z / total)) * Math.sqrt(proportion * (1 - proportion) / total + z * z / (4 * total * total));
+
+        return {
+            score: Math.round(proportion * SCORE_SCALE.max),
+            band: total > 0 ? {
+                low: Math.max(0, Math.round((center - margin) * SCORE_SCALE.max)),
+                high: Math.min(SCORE_SCALE.max, Math.round((center + margin) * SCORE_SCALE.max))
+            } : null
+        };
+    }
+}
+
+/**
+ * Item Response Scorer Class
+ * Two-parameter logistic model with an expected-a-posteriori ability estimate
+ */
+class ItemResponseScorer {
+    constructor() {
+        this.id = 'irt';
+        this.name = 'IRT（項目反応理論）';
+
+        // Ability (θ) that maps to the passing score, and points per unit of θ
+        this.passingAbility = 0.4;
+        this.pointsPerAbility = 200;
+    }
+
+    score(questionResults) {
+        const estimate = this.estimateAbility(questionResults);
+        const z = 1.96;
+
+        return {
+            score: this.toScale(estimate.ability),
+            band: {
+                low: this.toScale(estimate.ability - z * estimate.standardError),
+                high: this.toScale(estimate.ability + z * estimate.standardError)
+            },
+            ability: Math.round(estimate.ability * 100) / 100,
+            standardError: Math.round(estimate.standardError * 100) / 100
+        };
+    }
+
+    /**
+     * Estimate ability over a θ grid with a standard normal prior
+     */
+    estimateAbility(questionResults) {
+        const grid = [];
+        for (let theta = -4; theta <= 4.0001; theta += 0.1) {
+            grid.push(theta);
+        }
+
+        const weights = grid.map(theta => {
+            let logLikelihood = -theta * theta / 2;
+            questionResults.forEach(result => {
+                // Partial credit counts as a fractional response
+                const p = Math.min(1 - PROBABILITY_EPSILON, Math.max(PROBABILITY_EPSILON,
+                    this.probabilityCorrect(theta, this.getItemParameters(result.question))));
+                const credit = getCredit(result);
+                logLikelihood += credit * Math.log(p) + (1 - credit) * Math.log(1 - p);
+            });
+            return logLikelihood;
+        });
+
+        // Normalise in log space to avoid underflow on long exams
+        const maxWeight = Math.max(...weights);
+        const posterior = weights.map(weight => Math.exp(weight - maxWeight));
+        const totalWeight = posterior.reduce((sum, weight) => sum + weight, 0);
+
+        const ability = grid.reduce((sum, theta, i) => sum + theta * posterior[i], 0) / totalWeight;
+        const variance = grid.reduce((sum, theta, i) => sum + (theta - ability) ** 2 * posterior[i], 0) / totalWeight;
+
+        return { ability, standardError: Math.sqrt(variance) };
+    }
+
+    probabilityCorrect(theta, item) {
+        return 1 / (1 + Math.exp(-item.a * (theta - item.b)));
+    }
+
+    getItemParameters(question) {
+        const defaults = DEFAULT_ITEM_PARAMETERS[question.difficulty] || DEFAULT_ITEM_PARAMETERS.normal;
+        return { ...defaults, ...(question.irt || {}) };
+    }
+
+    toScale(theta) {
+        const score = SCORE_SCALE.passing + (theta - this.passingAbility) * this.pointsPerAbility;
+        return Math.round(Math.min(SCORE_SCALE.max, Math.max(0, score)));
+    }
+}
+
+// Available scoring models
+const ScoringModels = {
+    scale: SCORE_SCALE,
+    models: {
+        linear: new LinearScorer(),
+        irt: new ItemResponseScorer()
+    },
+
+    get(id) {
+        return this.models[id] || this.models.linear;
+    }
+};
+
+// Export for use in other modules
+window.ScoringModels = ScoringModels;
@@ -0,0 +1,40 @@
+/**
+ * Site Paths for Information Security Management Study Site
+ * Maps site paths ("/study/laws/#privacy-laws"), as pages, packs and questions write them,
+ * to URLs under wherever the site is served from, including a sub-path
+ */
+
+/**
+ * Site Paths Class
+ */
+class SitePaths {
+    /**
+     * root: absolute URL of the site root, ending in "/"
+     */
+    constructor(root) {
+        this.root = root;
+    }
+
+    /**
+     * Absolute URL of a site path
+     */
+    url(sitePath) {
+        return new URL(String(sitePath).replace(/^\//, ''), this.root).href;
+    }
+
+    /**
+     * Site path of a URL or location pathname under the root, or null when it is outside the site
+     */
+    toSitePath(pathname) {
+        const rootPath = new URL(this.root).pathname;
+        return pathname.startsWith(rootPath) ? `/${pathname.slice(rootPath.length)}` : null;
+    }
+}
+
+// The root is taken from this script's own URL (assets/js/site.js)
+const sitePaths = new SitePaths(document.currentScript
+    ? new URL('../../', document.currentScript.src).href
+    : new URL('/', window.location.href).href);
+
+// Export for use in other modules
+window.SitePaths = sitePaths;
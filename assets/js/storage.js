@@ -8,9 +8,14 @@ const STORAGE_KEYS = {
     STUDY_DATA: 'sgStudyData',
     SETTINGS: 'sgSettings',
     CACHE: 'sgCache',
-    BACKUP: 'sgBackup'
+    BACKUP: 'sgBackup',
+    QUIZ_SESSION: 'sgQuizSession',
+    QUESTION_DRAFTS: 'sgQuestionDrafts'
 };
 
+// Attempts kept per question in questionHistory
+const MAX_ATTEMPTS_PER_QUESTION = 50;
+
 // Default data structure
 const DEFAULT_STUDY_DATA = {
     version: '1.0',
@@ -22,7 +27,9 @@ const DEFAULT_STUDY_DATA = {
         createdAt: null
     },
     studyTime: {}, // { date: minutes }
-    questionStats: {}, // { category: { total, correct, incorrect, avgTime } }
+    questionStats: {}, // { category: { total, correct, incorrect, totalTime } } derived from questionHistory
+    questionStatsBaseline: {}, // Totals recorded before per-question history, or trimmed from it
+    questionHistory: {}, // { questionId: { category, attempts: [{ timestamp, answer, isCorrect, credit, timeSpent, hintsUsed, confidence, quizType, quizId }], trimmedAnswers: { answerJSON: count } } }
     progress: {
         basics: 0,
         management: 0,
@@ -30,6 +37,8 @@ const DEFAULT_STUDY_DATA = {
         laws: 0
     },
     bookmarks: [], // Array of bookmarked content
+    questionBookmarks: [], // [{ questionId, addedAt }] bookmarked from the quiz screen
+    quizPresets: [], // [{ name, config, savedAt }] saved from the custom quiz builder
     notes: {}, // { pageId: noteText }
     achievements: [], // Array of unlocked achievements
     streaks: {
@@ -38,10 +47,12 @@ const DEFAULT_STUDY_DATA = {
         lastStudyDate: null
     },
     mockExamResults: [], // Array of mock exam results
+    pastExamResults: {}, // { setId: [{ score, correctAnswers, totalQuestions, subjectScores, timeSpent, completedAt }] } per past exam set
     flashcards: {
         reviewed: [],
         mastered: [],
-        difficult: []
+        difficult: [],
+        schedule: {} // { itemKey: { ease, interval, repetitions, lapses, dueDate, lastReviewed } }
     },
     settings: {
         theme: 'auto',
@@ -193,33 +204,128 @@ class StorageManager {
     }
 
     /**
-     * Record question result
+     * Record question attempts
+     * Each attempt: { questionId, category, answer, isCorrect, credit, timeSpent, hintsUsed, confidence, quizType, quizId }
+     * `credit` is the 0-1 share earned (partial credit, hint penalties) and `hintsUsed` the hints opened
      */
-    recordQuestionResult(category, isCorrect, timeSpent) {
+    recordQuestionAttempts(attempts) {
         const studyData = this.getStudyData();
+        const timestamp = Date.now();
 
-        if (!studyData.questionStats[category]) {
-            studyData.questionStats[category] = {
-                total: 0,
-                correct: 0,
-                incorrect: 0,
-                totalTime: 0
-            };
-        }
+        attempts.forEach(attempt => {
+            if (!studyData.questionHistory[attempt.questionId]) {
+                studyData.questionHistory[attempt.questionId] = {
+                    category: attempt.category,
+                    attempts: []
+                };
+            }
 
-        const stats = studyData.questionStats[category];
-        stats.total++;
-        stats.totalTime += timeSpent;
+            const history = studyData.questionHistory[attempt.questionId];
+            history.category = attempt.category;
+            history.attempts.push({
+                timestamp: attempt.timestamp || timestamp,
+                answer: attempt.answer === undefined ? null : attempt.answer,
+                isCorrect: attempt.isCorrect,
+                credit: typeof attempt.credit === 'number' ? attempt.credit : (attempt.isCorrect ? 1 : 0),
+                timeSpent: attempt.timeSpent || 0,
+                hintsUsed: attempt.hintsUsed || 0,
+                confidence: attempt.confidence || null,
+                quizType: attempt.quizType || null,
+                quizId: attempt.quizId || null
+            });
 
-        if (isCorrect) {
-            stats.correct++;
-        } else {
-            stats.incorrect++;
-        }
+            // Keep the most recent attempts; older ones stay counted in the baseline and answer tally
+            if (history.attempts.length > MAX_ATTEMPTS_PER_QUESTION) {
+                const trimmed = history.attempts.splice(0, history.attempts.length - MAX_ATTEMPTS_PER_QUESTION);
+                this.addToStats(studyData.questionStatsBaseline, history.category, trimmed);
+                this.addToAnswerTally(history, trimmed);
+            }
+        });
 
+        studyData.questionStats = this.deriveQuestionStats(studyData);
         return this.setData(STORAGE_KEYS.STUDY_DATA, studyData);
     }
 
+    /**
+     * How often each answer was given to a question, trimmed attempts included:
+     * [{ answer, count }]
+     */
+    countAnswers(history) {
+        const tally = { ...(history.trimmedAnswers || {}) };
+        history.attempts.forEach(attempt => {
+            const key = JSON.stringify(attempt.answer === undefined ? null : attempt.answer);
+            tally[key] = (tally[key] || 0) + 1;
+        });
+
+        return Object.entries(tally).map(([key, count]) => ({ answer: JSON.parse(key), count }));
+    }
+
+    /**
+     * Get attempt history for a question
+     */
+    getQuestionHistory(questionId) {
+        const history = this.getStudyData().questionHistory[questionId];
+        return history ? history.attempts : [];
+    }
+
+    /**
+     * Query per-question summaries
+     * filters: { category, quizType, since, minAttempts, minIncorrect, maxCorrectStreak, lastIncorrect, neverCorrect }
+     */
+    queryQuestionHistory(filters = {}) {
+        const questionHistory = this.getStudyData().questionHistory || {};
+
+        return Object.entries(questionHistory)
+            .filter(([questionId, history]) => !filters.category || history.category === filters.category)
+            .map(([questionId, history]) => {
+                const attempts = history.attempts.filter(attempt =>
+                    (!filters.quizType || attempt.quizType === filters.quizType) &&
+                    (!filters.since || attempt.timestamp >= filters.since)
+                );
+                return this.summarizeAttempts(questionId, history.category, attempts);
+            })
+            .filter(summary =>
+                summary.attempts > 0 &&
+                summary.attempts >= (filters.minAttempts || 0) &&
+                summary.incorrect >= (filters.minIncorrect || 0) &&
+                (filters.maxCorrectStreak === undefined || summary.correctStreak <= filters.maxCorrectStreak) &&
+                (!filters.lastIncorrect || !summary.lastCorrect) &&
+                (!filters.neverCorrect || summary.correct === 0)
+            )
+            .sort((a, b) => b.lastAttemptAt - a.lastAttemptAt);
+    }
+
+    /**
+     * Accuracy per confidence level ('sure', 'unsure', 'guess') over every rated attempt,
+     * with each category's correct answers split by how sure they were
+     */
+    getConfidenceCalibration() {
+        const questionHistory = this.getStudyData().questionHistory || {};
+        const calibration = { rated: 0, levels: {}, categories: {} };
+
+        Object.values(questionHistory).forEach(history => {
+            history.attempts.filter(attempt => attempt.confidence).forEach(attempt => {
+                if (!calibration.levels[attempt.confidence]) {
+                    calibration.levels[attempt.confidence] = { answered: 0, correct: 0 };
+                }
+                calibration.rated++;
+                calibration.levels[attempt.confidence].answered++;
+                if (!attempt.isCorrect) return;
+
+                if (!calibration.categories[history.category]) {
+                    calibration.categories[history.category] = { correct: 0, guessed: 0 };
+                }
+                calibration.levels[attempt.confidence].correct++;
+                calibration.categories[history.category].correct++;
+                if (attempt.confidence === 'guess') {
+                    calibration.categories[history.category].guessed++;
+                }
+            });
+        });
+
+        return calibration;
+    }
+
     /**
      * Save mock exam result
      */
@@ -229,10 +335,15 @@ class StorageManager {
         const examResult = {
             id: this.generateId(),
             score: result.score,
+            scoreBand: result.scoreBand || null,
+            scoringModel: result.scoringModel ? result.scoringModel.id : 'linear',
             totalQuestions: result.totalQuestions,
             correctAnswers: result.correctAnswers,
             timeSpent: result.timeSpent,
             categoryScores: result.categoryScores,
+            subjectScores: result.subjectScores || null, // { A: { correct, total }, B: { correct, total } }
+            examConditions: !!result.examConditions,
+            integrityEvents: result.integrityEvents || [], // [{ type, at, offset, returnedAt }] tab or fullscreen exits
             completedAt: Date.now(),
             passed: result.score >= 600
         };
@@ -250,6 +361,110 @@ class StorageManager {
         return this.setData(STORAGE_KEYS.STUDY_DATA, studyData);
     }
 
+    /**
+     * Save a result for a past exam set (年度別), e.g. "令和5年度 公開問題"
+     */
+    savePastExamResult(setId, result) {
+        const studyData = this.getStudyData();
+        if (!studyData.pastExamResults) {
+            studyData.pastExamResults = {};
+        }
+        if (!studyData.pastExamResults[setId]) {
+            studyData.pastExamResults[setId] = [];
+        }
+
+        const results = studyData.pastExamResults[setId];
+        results.push({
+            id: this.generateId(),
+            score: result.score,
+            percentage: result.percentage,
+            totalQuestions: result.totalQuestions,
+            correctAnswers: result.correctAnswers,
+            subjectScores: result.subjectScores || null,
+            timeSpent: result.timeSpent,
+            completedAt: Date.now(),
+            passed: result.passed
+        });
+
+        // Keep only the last 20 tries per set
+        if (results.length > 20) {
+            studyData.pastExamResults[setId] = results.slice(-20);
+        }
+
+        return this.setData(STORAGE_KEYS.STUDY_DATA, studyData);
+    }
+
+    /**
+     * Past exam results, oldest first; for one set when an id is given, otherwise { setId: results }
+     */
+    getPastExamResults(setId) {
+        const studyData = this.getStudyData();
+        const results = studyData.pastExamResults || {};
+        return setId ? [...(results[setId] || [])] : { ...results };
+    }
+
+    /**
+     * Record a spaced-repetition review (SM-2)
+     * itemKey is 'question:<id>' or 'term:<id>', quality is 0-5
+     */
+    recordReview(itemKey, quality) {
+        return this.recordReviews([{ itemKey, quality }])[0];
+    }
+
+    /**
+     * Record several reviews at once, e.g. every question of a finished quiz, with a single save
+     * reviews: [{ itemKey, quality }]; returns the updated cards in the same order
+     */
+    recordReviews(reviews) {
+        const studyData = this.getStudyData();
+        const flashcards = studyData.flashcards;
+        const today = new Date().toISOString().split('T')[0];
+
+        const cards = reviews.map(({ itemKey, quality }) => {
+            const card = this.calculateNextReview(flashcards.schedule[itemKey], quality, today);
+            flashcards.schedule[itemKey] = card;
+
+            // Keep the summary lists in step with the schedule
+            this.updateFlashcardList(flashcards.reviewed, itemKey, true);
+            this.updateFlashcardList(flashcards.mastered, itemKey, card.interval >= 21);
+            this.updateFlashcardList(flashcards.difficult, itemKey, card.ease < 2.0 || card.lapses >= 2);
+            return card;
+        });
+
+        this.setData(STORAGE_KEYS.STUDY_DATA, studyData);
+        return cards;
+    }
+
+    /**
+     * Get items due for review on or before the given date
+     */
+    getDueReviews(date = new Date().toISOString().split('T')[0], type = null) {
+        const schedule = this.getStudyData().flashcards.schedule || {};
+
+        return Object.entries(schedule)
+            .filter(([key, card]) => card.dueDate <= date && (!type || key.startsWith(`${type}:`)))
+            .map(([key, card]) => ({ key, id: key.slice(key.indexOf(':') + 1), ...card }))
+            .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+    }
+
+    /**
+     * Count reviews due today and within the coming days
+     */
+    getReviewForecast(days = 7) {
+        const schedule = this.getStudyData().flashcards.schedule || {};
+        const today = new Date();
+        const todayStr = today.toISOString().split('T')[0];
+        const limit = new Date(today);
+        limit.setDate(today.getDate() + days);
+        const limitStr = limit.toISOString().split('T')[0];
+
+        const cards = Object.values(schedule);
+        return {
+            today: cards.filter(card => card.dueDate <= todayStr).length,
+            upcoming: cards.filter(card => card.dueDate <= limitStr).length
+        };
+    }
+
     /**
      * Manage bookmarks
      */
@@ -281,6 +496,95 @@ class StorageManager {
         return studyData.bookmarks || [];
     }
 
+    /**
+     * Manage question bookmarks
+     */
+    toggleQuestionBookmark(questionId) {
+        const studyData = this.getStudyData();
+        const bookmarks = studyData.questionBookmarks || [];
+        const existingIndex = bookmarks.findIndex(b => b.questionId === questionId);
+
+        if (existingIndex >= 0) {
+            bookmarks.splice(existingIndex, 1);
+        } else {
+            bookmarks.push({ questionId, addedAt: Date.now() });
+        }
+
+        studyData.questionBookmarks = bookmarks;
+        this.setData(STORAGE_KEYS.STUDY_DATA, studyData);
+        return existingIndex < 0;
+    }
+
+    isQuestionBookmarked(questionId) {
+        return this.getQuestionBookmarks().some(b => b.questionId === questionId);
+    }
+
+    /**
+     * Get question bookmarks, newest first
+     */
+    getQuestionBookmarks() {
+        const studyData = this.getStudyData();
+        return [...(studyData.questionBookmarks || [])].sort((a, b) => b.addedAt - a.addedAt);
+    }
+
+    /**
+     * Save a custom quiz builder configuration, replacing any preset with the same name
+     */
+    saveQuizPreset(name, config) {
+        const studyData = this.getStudyData();
+        const presets = (studyData.quizPresets || []).filter(p => p.name !== name);
+
+        presets.push({ name, config, savedAt: Date.now() });
+        studyData.quizPresets = presets;
+        return this.setData(STORAGE_KEYS.STUDY_DATA, studyData);
+    }
+
+    /**
+     * Get custom quiz presets, newest first
+     */
+    getQuizPresets() {
+        const studyData = this.getStudyData();
+        return [...(studyData.quizPresets || [])].sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    deleteQuizPreset(name) {
+        const studyData = this.getStudyData();
+        studyData.quizPresets = (studyData.quizPresets || []).filter(p => p.name !== name);
+        return this.setData(STORAGE_KEYS.STUDY_DATA, studyData);
+    }
+
+    /**
+     * Checkpoint the in-progress quiz (kept apart from study data so ticks stay cheap)
+     */
+    saveQuizSession(session) {
+        return this.setData(STORAGE_KEYS.QUIZ_SESSION, session);
+    }
+
+    getQuizSession() {
+        return this.getData(STORAGE_KEYS.QUIZ_SESSION);
+    }
+
+    clearQuizSession() {
+        if (!this.isAvailable) return;
+        localStorage.removeItem(STORAGE_KEYS.QUIZ_SESSION);
+    }
+
+    /**
+     * Keep the question pack being written on the authoring page
+     */
+    saveQuestionDraftPack(pack) {
+        return this.setData(STORAGE_KEYS.QUESTION_DRAFTS, { ...pack, savedAt: Date.now() });
+    }
+
+    getQuestionDraftPack() {
+        return this.getData(STORAGE_KEYS.QUESTION_DRAFTS);
+    }
+
+    clearQuestionDraftPack() {
+        if (!this.isAvailable) return;
+        localStorage.removeItem(STORAGE_KEYS.QUESTION_DRAFTS);
+    }
+
     /**
      * Save/update note
      */
@@ -468,6 +772,110 @@ class StorageManager {
         return item && typeof item === 'object' && !Array.isArray(item);
     }
 
+    calculateNextReview(card, quality, today) {
+        const next = card ? { ...card } : { ease: 2.5, interval: 0, repetitions: 0, lapses: 0 };
+
+        if (quality < 3) {
+            // Forgotten: start the interval over
+            next.repetitions = 0;
+            next.interval = 1;
+            next.lapses++;
+        } else {
+            next.repetitions++;
+            if (next.repetitions === 1) {
+                next.interval = 1;
+            } else if (next.repetitions === 2) {
+                next.interval = 6;
+            } else {
+                next.interval = Math.round(next.interval * next.ease);
+            }
+        }
+
+        next.ease = Math.max(1.3, next.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        next.ease = Math.round(next.ease * 100) / 100;
+
+        const dueDate = new Date(today);
+        dueDate.setDate(dueDate.getDate() + next.interval);
+        next.dueDate = dueDate.toISOString().split('T')[0];
+        next.lastReviewed = Date.now();
+
+        return next;
+    }
+
+    updateFlashcardList(list, itemKey, include) {
+        const index = list.indexOf(itemKey);
+        if (include && index < 0) {
+            list.push(itemKey);
+        } else if (!include && index >= 0) {
+            list.splice(index, 1);
+        }
+    }
+
+    summarizeAttempts(questionId, category, attempts) {
+        const correct = attempts.filter(attempt => attempt.isCorrect).length;
+        const last = attempts[attempts.length - 1];
+
+        // Consecutive correct answers counted back from the latest attempt
+        let correctStreak = 0;
+        for (let i = attempts.length - 1; i >= 0 && attempts[i].isCorrect; i--) {
+            correctStreak++;
+        }
+
+        return {
+            questionId,
+            category,
+            attempts: attempts.length,
+            correct,
+            incorrect: attempts.length - correct,
+            correctStreak,
+            lastCorrect: last ? last.isCorrect : false,
+            lastAnswer: last ? last.answer : null,
+            lastAttemptAt: last ? last.timestamp : null,
+            totalTime: attempts.reduce((sum, attempt) => sum + attempt.timeSpent, 0)
+        };
+    }
+
+    deriveQuestionStats(studyData) {
+        const stats = {};
+
+        Object.entries(studyData.questionStatsBaseline || {}).forEach(([category, baseline]) => {
+            stats[category] = { ...baseline };
+        });
+
+        Object.values(studyData.questionHistory || {}).forEach(history => {
+            this.addToStats(stats, history.category, history.attempts);
+        });
+
+        return stats;
+    }
+
+    addToStats(stats, category, attempts) {
+        if (!stats[category]) {
+            stats[category] = { total: 0, correct: 0, incorrect: 0, totalTime: 0 };
+        }
+
+        attempts.forEach(attempt => {
+            stats[category].total++;
+            stats[category].totalTime += attempt.timeSpent || 0;
+            if (attempt.isCorrect) {
+                stats[category].correct++;
+            } else {
+                stats[category].incorrect++;
+            }
+        });
+    }
+
+    addToAnswerTally(history, attempts) {
+        if (!history.trimmedAnswers) {
+            history.trimmedAnswers = {};
+        }
+
+        attempts.forEach(attempt => {
+            const key = JSON.stringify(attempt.answer === undefined ? null : attempt.answer);
+            history.trimmedAnswers[key] = (history.trimmedAnswers[key] || 0) + 1;
+        });
+    }
+
     updateStreak(studyData, today) {
         const lastDate = studyData.streaks.lastStudyDate;
         const yesterday = new Date();
@@ -544,21 +952,59 @@ class StorageManager {
         // Merge study time data
         importedData.studyTime = { ...currentData.studyTime, ...importedData.studyTime };
 
-        // Merge question stats
-        Object.keys(importedData.questionStats).forEach(category => {
-            if (currentData.questionStats[category]) {
-                const current = currentData.questionStats[category];
-                const imported = importedData.questionStats[category];
-                
-                importedData.questionStats[category] = {
-                    total: current.total + imported.total,
-                    correct: current.correct + imported.correct,
-                    incorrect: current.incorrect + imported.incorrect,
-                    totalTime: current.totalTime + imported.totalTime
-                };
+        // Exports without per-question history only carry category totals
+        const importedBaseline = importedData.questionHistory
+            ? (importedData.questionStatsBaseline || {})
+            : importedData.questionStats;
+
+        // Merge baselines; they cannot be told apart like attempts can, so keep the larger one
+        // per category instead of adding, or re-importing a backup would count it twice
+        importedData.questionStatsBaseline = { ...(currentData.questionStatsBaseline || {}) };
+        Object.entries(importedBaseline || {}).forEach(([category, imported]) => {
+            const current = importedData.questionStatsBaseline[category];
+            if (!current || imported.total > current.total) {
+                importedData.questionStatsBaseline[category] = { ...imported };
             }
         });
 
+        // Merge per-question history, skipping attempts present in both
+        const mergedHistory = JSON.parse(JSON.stringify(currentData.questionHistory || {}));
+        Object.entries(importedData.questionHistory || {}).forEach(([questionId, imported]) => {
+            if (!mergedHistory[questionId]) {
+                mergedHistory[questionId] = imported;
+                return;
+            }
+            // Trimmed tallies cannot be told apart either, so the larger count of each answer is kept
+            const trimmedAnswers = { ...(mergedHistory[questionId].trimmedAnswers || {}) };
+            Object.entries(imported.trimmedAnswers || {}).forEach(([key, count]) => {
+                if (!trimmedAnswers[key] || count > trimmedAnswers[key]) {
+                    trimmedAnswers[key] = count;
+                }
+            });
+            if (Object.keys(trimmedAnswers).length > 0) {
+                mergedHistory[questionId].trimmedAnswers = trimmedAnswers;
+            }
+
+            const existing = new Set(mergedHistory[questionId].attempts.map(a => `${a.timestamp}:${a.quizId}`));
+            imported.attempts.forEach(attempt => {
+                if (!existing.has(`${attempt.timestamp}:${attempt.quizId}`)) {
+                    mergedHistory[questionId].attempts.push(attempt);
+                }
+            });
+            const attempts = mergedHistory[questionId].attempts.sort((a, b) => a.timestamp - b.timestamp);
+
+            // Same cap as recordQuestionAttempts; older attempts stay counted in the baseline and answer tally
+            if (attempts.length > MAX_ATTEMPTS_PER_QUESTION) {
+                const trimmed = attempts.splice(0, attempts.length - MAX_ATTEMPTS_PER_QUESTION);
+                this.addToStats(importedData.questionStatsBaseline, mergedHistory[questionId].category, trimmed);
+                this.addToAnswerTally(mergedHistory[questionId], trimmed);
+            }
+        });
+        importedData.questionHistory = mergedHistory;
+
+        // Category totals are derived from the merged history
+        importedData.questionStats = this.deriveQuestionStats(importedData);
+
         return importedData;
     }
 
@@ -570,6 +1016,11 @@ class StorageManager {
             studyData.version = DEFAULT_STUDY_DATA.version;
         }
 
+        // Totals recorded before per-question history become the baseline
+        if (!studyData.questionHistory && studyData.questionStats) {
+            studyData.questionStatsBaseline = studyData.questionStats;
+        }
+
         // Add missing fields from default data
         const updated = this.deepMerge(DEFAULT_STUDY_DATA, studyData);
         this.setData(STORAGE_KEYS.STUDY_DATA, updated);
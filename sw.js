@@ -17,8 +17,14 @@ const CORE_RESOURCES = [
   '/assets/css/responsive.css',
   '/assets/css/themes.css',
   '/assets/js/main.js',
+  '/assets/js/site.js',
   '/assets/js/storage.js',
   '/assets/js/progress.js',
+  '/assets/js/question-bank.js',
+  '/assets/js/scoring.js',
+  '/assets/js/rich-text.js',
+  '/assets/js/answer-formats.js',
+  '/assets/js/result-card.js',
   '/assets/js/quiz.js',
   '/manifest.json'
 ];
@@ -29,7 +35,8 @@ const OPTIONAL_RESOURCES = [
   '/practice/',
   '/glossary/',
   '/progress/',
-  '/tips/'
+  '/tips/',
+  '/data/questions/index.json'
 ];
 
 // Resources that should always be fetched from network
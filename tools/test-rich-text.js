@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * Sanitizer tests for the rich text renderer
+ * Feeds the usual injection payloads through RichText.render and checks that nothing
+ * executable survives. Runs offline and exits with 1 when a case fails.
+ *
+ * Usage: node tools/test-rich-text.js
+ */
+
+const assert = require('assert');
+const { richText } = require('../assets/js/rich-text.js');
+
+const cases = [];
+
+function test(name, fn) {
+    cases.push({ name, fn });
+}
+
+/**
+ * Assert that rendered HTML has no event handler, script element or script URL left in a tag
+ */
+function assertInert(html) {
+    const tags = html.match(/<[a-z][^>]*>/gi) || [];
+    tags.forEach(tag => {
+        assert.ok(!/\son[a-z]+\s*=/i.test(tag), `イベント属性が残っています: ${tag}`);
+        assert.ok(!/(javascript|vbscript|data):/i.test(tag), `スクリプト URL が残っています: ${tag}`);
+    });
+    assert.ok(!/<(script|iframe|object|embed|svg|math|style)\b/i.test(html), `危険な要素が残っています: ${html}`);
+}
+
+/**
+ * Assert that every opened element is closed in order
+ */
+function assertBalanced(html) {
+    const voidElements = ['br', 'hr', 'img'];
+    const stack = [];
+    (html.match(/<\/?[a-z][a-z0-9]*\b[^>]*>/gi) || []).forEach(tag => {
+        const [, closing, name] = tag.match(/^<(\/?)([a-z][a-z0-9]*)/i);
+        if (voidElements.includes(name.toLowerCase())) return;
+        if (closing) {
+            assert.strictEqual(stack.pop(), name.toLowerCase(), `閉じタグの対応が崩れています: ${html}`);
+        } else {
+            stack.push(name.toLowerCase());
+        }
+    });
+    assert.deepStrictEqual(stack, [], `閉じられていない要素があります: ${html}`);
+}
+
+test('onerror などのイベント属性を削除する', () => {
+    ['<img src=x onerror=alert(1)>', '<img src="x" onerror="alert(1)">', '<p onclick=alert(1)>x</p>', '<a href="/" onmouseover=alert(1)>x</a>'].forEach(payload => {
+        const html = richText.render(payload);
+        assertInert(html);
+        assert.ok(richText.findProblems(payload).length > 0, payload);
+    });
+});
+
+test('javascript: の URL を削除する', () => {
+    ['[x](javascript:alert(1))', '<a href="javascript:alert(1)">x</a>', '<a href=" JavaScript:alert(1)">x</a>', '<IMG SRC="javascript:alert(1)">', '![x](data:text/html,alert(1))'].forEach(payload => {
+        const html = richText.render(payload);
+        assertInert(html);
+        assert.ok(!/href=|src=/i.test(html), `URL が残っています: ${html}`);
+        assert.ok(richText.findProblems(payload).length > 0, payload);
+    });
+});
+
+test('文字参照で書いた URL を削除する', () => {
+    ['<a href="javascript&#58;alert(1)">x</a>', '<a href="jav&#x61;script:alert(1)">x</a>', '<a href="&#106;avascript:alert(1)">x</a>', '<a href="javascript&colon;alert(1)">x</a>'].forEach(payload => {
+        const html = richText.render(payload);
+        assertInert(html);
+        assert.ok(!/href=/i.test(html), `URL が残っています: ${html}`);
+    });
+});
+
+test('使えないタグは文字として表示する', () => {
+    const html = richText.render('<script>alert(1)</script><iframe src="https://example.com"></iframe>');
+    assertInert(html);
+    assert.ok(html.includes('&lt;script&gt;'), html);
+    assert.deepStrictEqual(richText.findProblems('<marquee>x</marquee>'), [
+        '使えないタグ <marquee> は文字として表示されます',
+        '使えないタグ </marquee> は文字として表示されます'
+    ]);
+});
+
+test('閉じていないタグと余分な閉じタグを整える', () => {
+    ['<b>open', 'close</i> text', '<ul><li>a<li>b', '<b><i>x</b></i>', '<table><tr><td>x'].forEach(payload => {
+        const html = richText.render(payload);
+        assertBalanced(html);
+        assertInert(html);
+    });
+});
+
+test('許可した記法とリンクはそのまま残す', () => {
+    assert.strictEqual(richText.render('**重要** と `code`'), '<p><strong>重要</strong> と <code>code</code></p>');
+    assert.strictEqual(
+        richText.render('<a href="https://example.com/?a=1&amp;b=2">参考</a>'),
+        '<p><a href="https://example.com/?a=1&amp;b=2" target="_blank" rel="noopener noreferrer">参考</a></p>'
+    );
+    assert.deepStrictEqual(richText.findProblems('<p>本文</p><table><caption>表1</caption><tr><td>x</td></tr></table>'), []);
+});
+
+let failed = 0;
+cases.forEach(({ name, fn }) => {
+    try {
+        fn();
+        console.log(`✔ ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`✖ ${name}`);
+        console.log(`    ${error.message}`);
+    }
+});
+
+console.log(`\n${cases.length}件中 ${cases.length - failed}件成功`);
+if (failed > 0) {
+    process.exitCode = 1;
+}
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+/**
+ * Question pack validator for Information Security Management Study Site
+ * Checks every pack in the index against the schema QuizEngine loads with, lints the
+ * content and reports coverage. Runs offline and exits with 1 when anything is wrong.
+ *
+ * Usage: node tools/validate-questions.js [path/to/index.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { QuestionBank, QUESTION_BANK_INDEX, QUESTION_CATEGORIES, QUESTION_DIFFICULTIES } = require('../assets/js/question-bank.js');
+const { richText } = require('../assets/js/rich-text.js');
+
+// Site root; absolute paths in packs ("/assets/...") resolve against it
+const SITE_ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Question bank that reads packs from disk instead of over HTTP
+ */
+class FileQuestionBank extends QuestionBank {
+    async fetchJSON(url) {
+        return JSON.parse(fs.readFileSync(toFilePath(url), 'utf8'));
+    }
+
+    recordError(pack, questionId, index, messages) {
+        // Collected and printed per file by the report instead of warned one by one
+        this.errors.push({ pack, questionId, index, messages });
+    }
+}
+
+/**
+ * Map a site path to a file under the site root
+ */
+function toFilePath(sitePath) {
+    return path.join(SITE_ROOT, decodeURI(sitePath.split(/[?#]/)[0]));
+}
+
+/**
+ * Map a file to the site path the browser would request
+ */
+function toSitePath(file) {
+    return '/' + path.relative(SITE_ROOT, path.resolve(file)).split(path.sep).join('/');
+}
+
+/**
+ * Check that a path in a question points at a file in the site
+ */
+function checkLocalPath(field, value) {
+    // Full URLs and data: URIs cannot be checked offline
+    if (/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+        return null;
+    }
+    // Questions are shown from pages at different depths, so relative paths break on some of them
+    if (!value.startsWith('/')) {
+        return `${field} "${value}" は / から始まるサイト内の絶対パスで指定してください`;
+    }
+
+    let file = toFilePath(value);
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+        file = path.join(file, 'index.html');
+    }
+    return fs.existsSync(file) ? null : `${field} "${value}" のファイルがありません`;
+}
+
+/**
+ * Check that a study page anchor ("/study/laws/#privacy-laws") points at an element on the page
+ */
+function checkStudyAnchor(field, anchor) {
+    const [page, id] = anchor.split('#');
+    const message = checkLocalPath(field, page);
+    if (message) return message;
+
+    let file = toFilePath(page);
+    if (fs.statSync(file).isDirectory()) {
+        file = path.join(file, 'index.html');
+    }
+    const html = fs.readFileSync(file, 'utf8');
+    return html.includes(`id="${id}"`) ? null : `${field} "${anchor}" の節がページにありません`;
+}
+
+/**
+ * Render a field the way the site does and report markup the sanitizer would change
+ */
+function checkRichText(field, source) {
+    if (typeof source !== 'string') return [];
+    return richText.findProblems(source).map(problem => `${field}: ${problem}`);
+}
+
+/**
+ * Content checks that go beyond the loading schema
+ */
+function lintQuestion(question, taxonomy) {
+    const messages = [];
+
+    const texts = (question.options || []).map(option => String(option.text || '').trim());
+    texts.filter((text, index) => text !== '' && texts.indexOf(text) !== index).forEach(text => {
+        messages.push(`選択肢の本文 "${text}" が重複しています`);
+    });
+    if (texts.some(text => text === '')) {
+        messages.push('本文のない選択肢があります');
+    }
+
+    if (typeof question.explanation !== 'string' || question.explanation.trim() === '') {
+        messages.push('解説がありません');
+    }
+
+    // Free-form tags are allowed at runtime, but shipped packs should stick to the taxonomy
+    if (taxonomy.tags.length > 0) {
+        (question.tags || []).filter(tag => !taxonomy.tags.includes(tag)).forEach(tag => {
+            messages.push(`taxonomy にないタグ "${tag}"`);
+        });
+    }
+
+    // The schema has already checked the form of the path; this checks the file is there
+    if (question.image !== undefined) {
+        const message = checkLocalPath('image', question.image.trim());
+        if (message) messages.push(message);
+    }
+    // References are usually citations; only ones written as paths are checked
+    if (typeof question.reference === 'string' && /^(\/|\.\.?\/)/.test(question.reference.trim())) {
+        const message = checkLocalPath('reference', question.reference.trim());
+        if (message) messages.push(message);
+    }
+
+    (question.study || []).forEach(anchor => {
+        const message = checkStudyAnchor('study', anchor);
+        if (message) messages.push(message);
+    });
+
+    // Everything shown through the rich text renderer has to stay within its subset
+    messages.push(...checkRichText('question', question.question));
+    messages.push(...checkRichText('explanation', question.explanation));
+    messages.push(...checkRichText('reference', question.reference));
+    (Array.isArray(question.hint) ? question.hint : [question.hint]).forEach((hint, index) => {
+        messages.push(...checkRichText(Array.isArray(question.hint) ? `hint[${index}]` : 'hint', hint));
+    });
+    ['options', 'choices'].forEach(list => {
+        (question[list] || []).forEach(item => {
+            messages.push(...checkRichText(`${list} ${item.id}`, item.text));
+        });
+    });
+
+    return messages;
+}
+
+/**
+ * Count questions per category and difficulty
+ */
+function buildCoverage(questions) {
+    const coverage = {};
+    QUESTION_CATEGORIES.forEach(category => {
+        coverage[category] = { total: 0 };
+        QUESTION_DIFFICULTIES.forEach(difficulty => {
+            coverage[category][difficulty] = 0;
+        });
+    });
+
+    questions.forEach(question => {
+        coverage[question.category][question.difficulty]++;
+        coverage[question.category].total++;
+    });
+
+    return coverage;
+}
+
+function printCoverage(questions, taxonomy) {
+    const coverage = buildCoverage(questions);
+    const columns = [...QUESTION_DIFFICULTIES, 'total'];
+    const pad = (value, width) => String(value).padStart(width);
+
+    console.log('\n分野・難易度別の問題数:');
+    console.log(`  ${''.padEnd(12)}${columns.map(column => pad(column, 8)).join('')}`);
+    QUESTION_CATEGORIES.forEach(category => {
+        console.log(`  ${category.padEnd(12)}${columns.map(column => pad(coverage[category][column], 8)).join('')}`);
+    });
+    const totals = columns.map(column => QUESTION_CATEGORIES.reduce((sum, category) => sum + coverage[category][column], 0));
+    console.log(`  ${'total'.padEnd(12)}${totals.map(total => pad(total, 8)).join('')}`);
+
+    const warnings = [];
+    QUESTION_CATEGORIES.forEach(category => {
+        QUESTION_DIFFICULTIES.filter(difficulty => coverage[category][difficulty] === 0).forEach(difficulty => {
+            warnings.push(`${category} に ${difficulty} の問題がありません`);
+        });
+    });
+    taxonomy.syllabus.forEach(item => {
+        const count = questions.filter(question => (question.syllabus || []).includes(item.code)).length;
+        if (count === 0) {
+            warnings.push(`シラバス項目 ${item.code}「${item.title}」の問題がありません`);
+        }
+    });
+
+    if (warnings.length > 0) {
+        console.log('\nカバレッジの警告:');
+        warnings.forEach(warning => console.log(`  ⚠ ${warning}`));
+    }
+}
+
+async function main() {
+    const indexFile = process.argv[2] ? path.resolve(process.argv[2]) : toFilePath(QUESTION_BANK_INDEX);
+    const bank = new FileQuestionBank(toSitePath(indexFile));
+
+    try {
+        await bank.load();
+    } catch (error) {
+        console.error(`✖ ${toSitePath(indexFile)}: インデックスを読み込めません: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // Every study section in the taxonomy must exist, since questions are checked against that list
+    const index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+    const taxonomySource = index.taxonomy ? bank.resolvePackUrl(index.taxonomy) : null;
+    const taxonomyErrors = bank.taxonomy.studySections
+        .map(section => checkStudyAnchor('studySections', String(section.anchor)))
+        .filter(Boolean);
+    // A past exam timing is only useful when questions carry the same year and session
+    bank.taxonomy.pastExams.forEach(entry => {
+        const label = `pastExams "${entry.year} ${entry.session}"`;
+        if (!Number.isInteger(entry.timeLimit) || entry.timeLimit < 1) {
+            taxonomyErrors.push(`${label} の timeLimit（分）は1以上の整数が必要です`);
+        }
+        if (!bank.questions.some(question => question.pastExam && question.pastExam.year === entry.year && question.pastExam.session === entry.session)) {
+            taxonomyErrors.push(`${label} の問題がありません`);
+        }
+    });
+    if (taxonomyErrors.length > 0) {
+        bank.recordError(taxonomySource, null, null, taxonomyErrors);
+    }
+
+    // Lint the questions that passed the schema, reported against the file they came from
+    const packSources = {};
+    bank.packs.forEach(pack => { packSources[pack.id] = pack.source; });
+    bank.questions.forEach(question => {
+        const messages = lintQuestion(question, bank.taxonomy);
+        if (messages.length > 0) {
+            bank.recordError(packSources[question.pack], question.id, null, messages);
+        }
+    });
+
+    // Scenario passages are shared between questions, so each is checked once, against the first pack using it
+    const checkedScenarios = new Set();
+    bank.questions.forEach(question => {
+        const scenario = question.scenario;
+        if (!scenario || checkedScenarios.has(scenario.id)) return;
+        checkedScenarios.add(scenario.id);
+        const messages = [...checkRichText('title', scenario.title), ...checkRichText('passage', scenario.passage)];
+        if (messages.length > 0) {
+            bank.recordError(packSources[question.pack], `scenario:${scenario.id}`, null, messages);
+        }
+    });
+
+    const sources = [...new Set([...bank.packs.map(pack => pack.source), ...bank.errors.map(error => error.pack)])];
+    sources.forEach(source => {
+        const pack = bank.packs.find(item => item.source === source);
+        const errors = bank.errors.filter(error => error.pack === source);
+        const summary = pack ? `${pack.id}${pack.version ? ` v${pack.version}` : ''}, ${pack.questionCount}問`
+            : source === taxonomySource ? 'taxonomy' : '読み込み失敗';
+
+        console.log(`${errors.length > 0 ? '✖' : '✔'} ${source} (${summary})`);
+        errors.forEach(error => {
+            const label = error.questionId || (error.index !== null ? `#${error.index}` : '');
+            error.messages.forEach(message => console.log(`    ${label ? `${label}: ` : ''}${message}`));
+        });
+    });
+
+    printCoverage(bank.questions, bank.taxonomy);
+
+    const errorCount = bank.errors.reduce((sum, error) => sum + error.messages.length, 0);
+    console.log(`\n${bank.questions.length}問を読み込みました。エラー ${errorCount}件`);
+    if (errorCount > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main();